@@ -1,3 +1,43 @@
+// Rules, color math and scoring are in engine.mjs; this file is the page.
+// It's a plain script so the game also opens from file://, where browsers
+// won't load modules, and gets the engine from engine.js (a build of
+// engine.mjs, see tools/build-engine.mjs), loaded just before it.
+const {
+    RULE_SETS,
+    INPUT_FORMATS,
+    MAX_DELTA_E,
+    getRuleSet,
+    expandHex,
+    toShortHex,
+    getRgbDistance,
+    hexToRgb,
+    rgbToHsl,
+    getInputFormat,
+    getChannelValues,
+    channelValuesToHex,
+    formatChannelValue,
+    parseChannelValue,
+    createGame,
+    updateGame,
+    generateRandomColor,
+    isEndless,
+    getDigitDistance,
+    getDigitStatus,
+    getGuessStatuses,
+    getGuessDirections,
+    getGuessChannels,
+    getGuessError,
+    scoreGuess,
+    applyGuess,
+    giveUpGame,
+    isGameWon,
+    getCloseEnoughWin
+} = window.HexGuessrEngine;
+
+// Where app.js was loaded from; solver.mjs sits next to it. Only readable
+// while the script first runs.
+const APP_SCRIPT_URL = document.currentScript?.src || location.href;
+
 // --- Start of helper functions ---
 
 // Prevent FOUC: Show body only after fonts load.
@@ -80,22 +120,411 @@ function triggerPop(cell) {
 // Daily color: fetch from server (no client algorithm)
 // Honors the API's own Cache-Control headers (max-age until UTC midnight),
 // so repeat visits within the day skip the network entirely.
-async function fetchDailyPuzzle({ timeoutMs = 5000 } = {}) {
+// Pass `archiveDate` (YYYY-MM-DD) to fetch a past daily for archive play.
+async function fetchDailyPuzzle({ timeoutMs = 5000, archiveDate = null } = {}) {
   const ctrl = new AbortController();
   const t = setTimeout(() => ctrl.abort(), timeoutMs);
   try {
-    const res = await fetch('/api/daily-color', { signal: ctrl.signal });
+    const url = archiveDate
+      ? `/api/daily-color?date=${encodeURIComponent(archiveDate)}`
+      : '/api/daily-color';
+    const res = await fetch(url, { signal: ctrl.signal });
     if (!res.ok) throw new Error('Failed to fetch daily color');
     const data = await res.json();
-    const hex = String(data?.hex || '').toUpperCase();
+    // Today's payload has no hex (guesses are scored server-side); archive
+    // payloads must carry one since those games are scored locally.
+    const hex = data?.hex ? String(data.hex).toUpperCase() : null;
     const date = data?.date || new Date().toISOString().split('T')[0];
-    if (!/^[0-9A-F]{6}$/.test(hex)) throw new Error('Invalid daily color payload');
-    return { hex, date };
+    if ((archiveDate || hex !== null) && !/^[0-9A-F]{6}$/.test(hex || '')) {
+      throw new Error('Invalid daily color payload');
+    }
+    const number = Number.isInteger(data?.number) && data.number > 0 ? data.number : getPuzzleNumber(date);
+    return { hex, date, number, special: readPuzzleSpecial(data) };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Scheduled holiday/event dailies carry a title and/or caption. Returns
+// { title, caption } or null for ordinary days.
+function readPuzzleSpecial(data) {
+  const title = typeof data?.title === 'string' && data.title ? data.title : null;
+  const caption = typeof data?.caption === 'string' && data.caption ? data.caption : null;
+  return title || caption ? { title, caption } : null;
+}
+
+// Starts a daily game on the server. Resolves to its first game token; every
+// reveal and guess after that goes with the newest one.
+async function postDailyStart({ date, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch('/api/daily-start', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date }),
+      signal: ctrl.signal
+    });
+    if (!res.ok) throw new Error('Failed to start daily game');
+    const data = await res.json();
+    if (typeof data?.token !== 'string' || !data.token) throw new Error('Invalid daily start payload');
+    return data.token;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Daily guess scoring: one guess plus the game token from the previous answer
+// (or from postDailyStart). The server keeps the game in that token, answers
+// with a new one, and only includes the target once the game is over. Hard
+// and memory mode are read until the first guess and enforced by the server
+// after that.
+async function postDailyGuess({ date, token, guess, hardMode, memoryMode, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch('/api/daily-guess', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date, token, guess, hardMode, memoryMode }),
+      signal: ctrl.signal
+    });
+    if (!res.ok) throw new Error('Failed to score daily guess');
+    const data = await res.json();
+    if (!Array.isArray(data?.statuses) || data.statuses.length !== 6 || typeof data.token !== 'string') {
+      throw new Error('Invalid daily guess payload');
+    }
+    const target = data.target ? String(data.target).toUpperCase() : null;
+    if (target !== null && !/^[0-9A-F]{6}$/.test(target)) {
+      throw new Error('Invalid daily guess payload');
+    }
+    return {
+      statuses: data.statuses,
+      // Directional hints; older server builds didn't send them
+      directions: Array.isArray(data.directions) && data.directions.length === 6 ? data.directions : null,
+      channels: Array.isArray(data.channels) && data.channels.length === 3 ? data.channels.map(Number) : null,
+      colorError: Number(data.colorError) || 0,
+      solved: !!data.solved,
+      gameOver: !!data.gameOver,
+      token: data.token,
+      target,
+      // Signed proof of the finished game + the short code shown in share text
+      receipt: data.receipt || null,
+      verificationCode: typeof data.verificationCode === 'string' ? data.verificationCode : null,
+      special: readPuzzleSpecial(data)
+    };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Global stats: report a finished daily (signed receipt only, nothing else
+// about the player) and read back today's aggregate distribution.
+async function postDailyResult({ receipt, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch('/api/daily-result', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ receipt }),
+      signal: ctrl.signal
+    });
+    if (!res.ok) throw new Error('Failed to record daily result');
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function fetchDailyStats({ date, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(`/api/daily-stats?date=${encodeURIComponent(date)}`, { signal: ctrl.signal });
+    if (!res.ok) throw new Error('Failed to fetch daily stats');
+    const data = await res.json();
+    if (!data || typeof data.distribution !== 'object' || !Number.isFinite(data.players)) {
+      throw new Error('Invalid daily stats payload');
+    }
+    return data;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Friend challenges: a finished Unlimited game becomes an opaque token for a
+// /c/<token> link. Opening one returns the target and the sender's result;
+// challenge games are scored locally like Unlimited.
+async function postChallenge({ target, attempts, won, finalError, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch('/api/challenge', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ target, attempts, won, finalError }),
+      signal: ctrl.signal
+    });
+    if (!res.ok) throw new Error('Failed to create challenge');
+    const data = await res.json();
+    if (typeof data?.token !== 'string' || !data.token) throw new Error('Invalid challenge payload');
+    return data.token;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function fetchChallenge({ token, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(`/api/challenge?token=${encodeURIComponent(token)}`, { signal: ctrl.signal });
+    if (!res.ok) throw new Error('Failed to fetch challenge');
+    const data = await res.json();
+    const target = String(data?.target || '').toUpperCase();
+    if (!/^[0-9A-F]{6}$/.test(target) || !Number.isInteger(data.attempts)) {
+      throw new Error('Invalid challenge payload');
+    }
+    return {
+      target,
+      attempts: data.attempts,
+      won: !!data.won,
+      finalError: Number(data.finalError) || 0,
+      // Links made before the CIEDE2000 switch carry RGB distance
+      errorMetric: data.errorMetric === 'rgb' ? 'rgb' : 'de2000'
+    };
   } finally {
     clearTimeout(t);
   }
 }
 
+// Custom puzzles from /create: the picked color, attempt count and caption
+// become an opaque token for a /play/<token> link.
+async function postCustomPuzzle({ target, maxAttempts, caption, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch('/api/custom', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ target, maxAttempts, caption }),
+      signal: ctrl.signal
+    });
+    if (!res.ok) throw new Error('Failed to create custom puzzle');
+    const data = await res.json();
+    if (typeof data?.token !== 'string' || !data.token) throw new Error('Invalid custom puzzle payload');
+    return data.token;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+async function fetchCustomPuzzle({ token, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(`/api/custom?token=${encodeURIComponent(token)}`, { signal: ctrl.signal });
+    if (!res.ok) throw new Error('Failed to fetch custom puzzle');
+    const data = await res.json();
+    const target = String(data?.target || '').toUpperCase();
+    if (!/^[0-9A-F]{6}$/.test(target) || !Number.isInteger(data.maxAttempts)) {
+      throw new Error('Invalid custom puzzle payload');
+    }
+    return {
+      target,
+      maxAttempts: data.maxAttempts,
+      caption: typeof data.caption === 'string' && data.caption ? data.caption : null
+    };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Clipboard API where allowed, hidden-textarea fallback otherwise (file://,
+// older Safari). Throws if neither works.
+async function copyTextToClipboard(text) {
+  if (navigator.clipboard && window.isSecureContext) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+  const ta = document.createElement('textarea');
+  ta.value = text;
+  ta.style.position = 'fixed';
+  ta.style.opacity = '0';
+  document.body.appendChild(ta);
+  try { ta.focus({ preventScroll: true }); } catch { ta.focus(); }
+  ta.select();
+  document.execCommand('copy');
+  document.body.removeChild(ta);
+}
+
+// Daily reveal preview: a one-pixel image of the target, never cached and
+// served only once. The reveal is asked for with the game token, which the
+// server marks as revealed for this attempt (memory mode: for the game). Resolves to the new
+// game token and an object URL the caller must revoke once the reveal ends.
+async function fetchDailyPreview({ date, token, memoryMode, timeoutMs = 5000 }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const reveal = await fetch('/api/daily-preview', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date, token, memoryMode }),
+      signal: ctrl.signal
+    });
+    if (!reveal.ok) throw new Error('Failed to reveal daily color');
+    const data = await reveal.json();
+    if (typeof data?.token !== 'string' || typeof data.preview !== 'string') {
+      throw new Error('Invalid daily preview payload');
+    }
+    const res = await fetch(`/api/daily-preview?token=${encodeURIComponent(data.preview)}`, {
+      cache: 'no-store',
+      signal: ctrl.signal
+    });
+    if (!res.ok) throw new Error('Failed to fetch daily preview');
+    return { token: data.token, previewUrl: URL.createObjectURL(await res.blob()) };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// First date with a daily puzzle. The archive calendar starts here.
+// Keep in sync with FIRST_PUZZLE_DATE in functions/_lib/daily.js.
+const FIRST_PUZZLE_DATE = '2025-09-01';
+
+// Puzzle #1 is FIRST_PUZZLE_DATE; the number goes up by one per UTC day.
+// Same formula as getPuzzleNumber() in functions/_lib/daily.js, used when a
+// payload or an older save doesn't carry the number.
+function getPuzzleNumber(date) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${FIRST_PUZZLE_DATE}T00:00:00Z`)) / dayMs);
+  return Number.isFinite(days) ? days + 1 : null;
+}
+
+// Strict YYYY-MM-DD that round-trips through Date (rejects 2025-02-30 etc).
+function isValidPuzzleDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+// Archive: each past daily keeps its own save slot, keyed by puzzle date.
+function getArchiveGameStateKey(date) {
+  return `archiveGameState_${date}`;
+}
+
+function readArchiveGameState(date) {
+  try {
+    const saved = localStorage.getItem(getArchiveGameStateKey(date));
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Rows a Zen grid starts with before it grows
+const ZEN_INITIAL_ROWS = 5;
+
+// Player settings, stored as one JSON object. Unknown or missing keys fall
+// back to the defaults, so new settings can be added without a migration.
+const GAME_SETTINGS_KEY = 'gameSettings';
+const DEFAULT_GAME_SETTINGS = {
+  hardMode: false,
+  // 'classic' colors only, or 'directional' with an up/down arrow per digit
+  feedbackMode: 'classic',
+  // Directional only: rough per-channel summary under the grid
+  channelSummary: false,
+  // Key of RULE_SETS used by Unlimited games
+  unlimitedRuleSet: 'classic',
+  // Key of INPUT_FORMATS for the picker fields; non-hex formats also switch
+  // Unlimited grids to per-channel feedback
+  inputFormat: 'hex',
+  // One reveal before the first guess, then the color stays hidden
+  memoryMode: false,
+  memoryRevealMs: 5000,
+  // Game clock from the first keystroke to the end of the game
+  speedrunMode: false,
+  // Unlimited only: a guess under this CIEDE2000 error also wins (0 = off)
+  closeEnoughDeltaE: 0,
+  // Unlimited hex grids: colors still consistent with the feedback (solver.mjs)
+  remainingColors: false
+};
+
+// Reveal lengths offered for memory mode
+const MEMORY_REVEAL_OPTIONS_MS = [3000, 5000, 10000];
+
+function getMemoryRevealMs(value) {
+  const ms = Number(value);
+  return MEMORY_REVEAL_OPTIONS_MS.includes(ms) ? ms : DEFAULT_GAME_SETTINGS.memoryRevealMs;
+}
+
+// Close-enough thresholds offered in the settings. Below ~2 the difference
+// is hard to see at all.
+const CLOSE_ENOUGH_OPTIONS = [0, 1, 2, 5];
+
+function getCloseEnoughDeltaE(value) {
+  const deltaE = Number(value);
+  return CLOSE_ENOUGH_OPTIONS.includes(deltaE) ? deltaE : 0;
+}
+
+// Best speedrun wins per rule set: { classic: [{ ms, attempts, mode, date }], ... },
+// fastest first.
+const SPEEDRUN_LEADERBOARD_KEY = 'speedrunLeaderboard';
+const SPEEDRUN_LEADERBOARD_SIZE = 5;
+
+function getSpeedrunLeaderboard() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SPEEDRUN_LEADERBOARD_KEY) || '{}');
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+// Adds a win to its rule set's board. Returns its place (1 = best), or 0
+// when it was too slow to make the board.
+function recordSpeedrunTime(ruleSetId, entry) {
+  const leaderboard = getSpeedrunLeaderboard();
+  const times = Array.isArray(leaderboard[ruleSetId]) ? leaderboard[ruleSetId] : [];
+  times.push(entry);
+  times.sort((a, b) => a.ms - b.ms);
+  leaderboard[ruleSetId] = times.slice(0, SPEEDRUN_LEADERBOARD_SIZE);
+  localStorage.setItem(SPEEDRUN_LEADERBOARD_KEY, JSON.stringify(leaderboard));
+  return leaderboard[ruleSetId].indexOf(entry) + 1;
+}
+
+// 83450 → "1:23.4"
+function formatSpeedrunTime(ms) {
+  const tenths = Math.floor(Math.max(0, ms) / 100);
+  const minutes = Math.floor(tenths / 600);
+  const seconds = Math.floor((tenths % 600) / 10);
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${tenths % 10}`;
+}
+
+function getGameSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GAME_SETTINGS_KEY) || '{}');
+    return { ...DEFAULT_GAME_SETTINGS, ...saved };
+  } catch {
+    return { ...DEFAULT_GAME_SETTINGS };
+  }
+}
+
+function saveGameSettings(changes) {
+  const settings = { ...getGameSettings(), ...changes };
+  localStorage.setItem(GAME_SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+}
+
+// "Red too high by ~20 · Green about right · Blue too low by ~40"
+function formatChannelSummary(offsets) {
+  const channelNames = ['Red', 'Green', 'Blue'];
+  return offsets.map((offset, i) => {
+    if (offset === 0) return `${channelNames[i]} about right`;
+    return `${channelNames[i]} too ${offset > 0 ? 'high' : 'low'} by ~${Math.abs(offset)}`;
+  }).join(' · ');
+}
+
 // --- End of helper functions ---
 
 // Tracks pending auto-popups so a manual open can cancel only the next
@@ -103,7 +532,8 @@ async function fetchDailyPuzzle({ timeoutMs = 5000 } = {}) {
 const autoPopupBypassState = {
     onboardingHelpAuto: { pending: false, suppressNext: false },
     statsOnLoadAuto: { pending: false, suppressNext: false },
-    statsEndgameAuto: { pending: false, suppressNext: false }
+    statsEndgameAuto: { pending: false, suppressNext: false },
+    archivePickerAuto: { pending: false, suppressNext: false }
 };
 
 function markAutoPopupBypassed(channel) {
@@ -127,30 +557,79 @@ function shouldSuppressAutoPopup(channel) {
 class HexColorWordle {
     constructor(opts = {}) {
         this.mode = opts.mode || 'unlimited';
-        // In daily mode the boot path may pass targetColor: null, meaning the
-        // fetch hasn't resolved yet. We render the UI immediately and plug the
-        // real target in later via setDailyTarget().
-        if (opts.targetColor === null) {
-            this.targetColor = null;
-        } else {
-            this.targetColor = opts.targetColor || this.generateRandomColor();
-        }
+        const rules = this.getRulesForMode();
+        // Rules, target, guesses and the settings that score them live in an
+        // engine game (engine.mjs); this class draws it and feeds it input.
+        // The accessors below the constructor keep the old field names.
+        this.game = createGame({
+            rules,
+            // In daily mode the boot path may pass targetColor: null, meaning
+            // the fetch hasn't resolved yet. We render the UI immediately and
+            // plug the real target in later via setDailyTarget().
+            target: opts.targetColor === null ? null : (opts.targetColor || generateRandomColor(rules)),
+            // RGB / HSL / OKLCH format an Unlimited grid scores per channel,
+            // or null for the usual hex digits. Fixed once the first guess is made.
+            format: this.getChannelFormatForMode(),
+            // Hard mode is fixed per game: picked up from settings when a game
+            // starts, and restored from the save for daily/archive games.
+            hardMode: !!getGameSettings().hardMode,
+            // Unlimited only, like the channel grids: 0 means exact matches only.
+            closeEnoughDeltaE: this.getCloseEnoughForMode(),
+            maxAttempts: opts.maxAttempts || rules.maxAttempts
+        });
+        // Typed channel values waiting in the current row of a channel grid
+        this.pendingChannelValues = null;
         this.dailyPuzzleDate = opts.dailyPuzzleDate || new Date().toISOString().split('T')[0];
+        // Sequential daily number ("HexGuessr #412"), set with the puzzle date
+        this.puzzleNumber = null;
+        // { title, caption } for scheduled holiday colors; only shown once
+        // the game is over
+        this.puzzleSpecial = null;
+        // Challenge mode: the sender's { attempts, won, finalError, token }
+        this.challenge = null;
+        // Custom mode: token of the /play/<token> link, reused in share text
+        this.customToken = null;
+        // The daily is scored by /api/daily-guess so its target never reaches
+        // the browser before the game ends. Every other mode scores locally.
+        this.scoring = this.mode === 'daily' ? 'server' : 'local';
+        // Memory mode is fixed per game like hard mode; its single reveal is tracked in
+        // memoryRevealUsed and saved so a reload can't bring it back.
+        this.memoryMode = !!getGameSettings().memoryMode;
+        this.memoryRevealMs = getMemoryRevealMs(getGameSettings().memoryRevealMs);
+        this.memoryRevealUsed = false;
+        // Speedrun clock. Time only runs while no modal is open, so it's
+        // added up tick by tick instead of measured from a start time.
+        this.speedrunMode = !!getGameSettings().speedrunMode;
+        this.speedrunElapsedMs = 0;
+        this.speedrunStarted = false;
+        this.speedrunInterval = null;
+        this.speedrunLastTick = 0;
+        // Leaderboard place of the finished run, 0 when it didn't place
+        this.speedrunRank = 0;
+        this.puzzleReady = false;
         this.currentAttempt = 1;
         
-        this.maxAttempts = 5;
         this.gameOver = false;
         this.colorVisible = false;
         this.hasRevealedThisAttempt = false;
-        this.baseDuration = 1000; // 1 second for first attempt
         this.isAnimating = false; // Track if guess animation is playing
         
-        // Track all guesses and their errors for statistics
-        this.guessHistory = []; // Array of {hex, colorError}
         this.postGameActionRow = null;
+        // The server's copy of the daily game, sent back with the next guess
+        this.dailyToken = null;
+        // Issued by /api/daily-guess when a daily game ends
+        this.dailyReceipt = null;
+        this.verificationCode = null;
+        // Whether the receipt has been sent to the global distribution yet
+        this.resultReported = false;
+
+        // The create page only borrows the picker; keep the grid locked.
+        if (this.mode === 'create') {
+            this.gameOver = true;
+        }
         
-        // Check if daily puzzle is already completed
-        if (this.mode === 'daily') {
+        // Check if daily (or archived daily) puzzle is already completed
+        if (this.hasSavedState()) {
             const completionData = this.checkDailyCompletion();
             if (completionData.completed) {
                 this.gameOver = true;
@@ -160,15 +639,30 @@ class HexColorWordle {
         }
                 
         this.initializeElements();
+        this.colorDisplay.textContent = this.getRevealPrompt();
         this.setupEventListeners();
+        this.applyInputFormat();
         this.updateColorPicker();
         this.buildGrid();
         this.setupOnScreenKeyboard();
         
         // Restore daily game state AFTER grid is built
-        if (this.mode === 'daily') {
+        if (this.hasSavedState()) {
             this.loadDailyGameState();
         }
+        // A run that was going when the page was left picks up where it stopped.
+        if (this.speedrunStarted && !this.gameOver) {
+            this.startSpeedrunClock();
+        }
+        this.renderSpeedrunClock();
+
+        // The clock only gets saved on guesses and reveals; catch the time in
+        // between when the page goes away.
+        window.addEventListener('pagehide', () => {
+            if (this.speedrunInterval && this.hasSavedState()) {
+                this.saveDailyGameState();
+            }
+        });
 
         window.addEventListener('resize', this.handleResize);
         this.setupPickerLayoutSync();
@@ -204,6 +698,31 @@ class HexColorWordle {
         }
     }
 
+    // ----- Engine game fields -----
+    // Each assignment swaps in an updated copy of this.game.
+
+    get rules() { return this.game.rules; }
+    set rules(rules) { this.game = updateGame(this.game, { rules }); }
+
+    get targetColor() { return this.game.target; }
+    set targetColor(target) { this.game = updateGame(this.game, { target }); }
+
+    get channelFormat() { return this.game.format; }
+    set channelFormat(format) { this.game = updateGame(this.game, { format }); }
+
+    get hardMode() { return this.game.hardMode; }
+    set hardMode(hardMode) { this.game = updateGame(this.game, { hardMode }); }
+
+    get closeEnoughDeltaE() { return this.game.closeEnoughDeltaE; }
+    set closeEnoughDeltaE(closeEnoughDeltaE) { this.game = updateGame(this.game, { closeEnoughDeltaE }); }
+
+    get maxAttempts() { return this.game.maxAttempts; }
+    set maxAttempts(maxAttempts) { this.game = updateGame(this.game, { maxAttempts }); }
+
+    // Array of {hex, colorError, statuses, directions, channels}
+    get guessHistory() { return this.game.guesses; }
+    set guessHistory(guesses) { this.game = updateGame(this.game, { guesses, gaveUp: false }); }
+
     initializeElements() {
         this.colorDisplay = document.getElementById('colorDisplay');
         this.guessesContainer = document.getElementById('guessesContainer');
@@ -218,16 +737,37 @@ class HexColorWordle {
         this.colorPreview = document.getElementById('colorPreview');
         this.hexOutputField = document.getElementById('hexOutputField');
         this.copyBtn = document.getElementById('copyBtn');
+        this.speedrunClockEl = document.getElementById('speedrunClock');
+        this.giveUpButton = document.getElementById('giveUpButton');
+        this.solverReadoutEl = document.getElementById('solverReadout');
+        this.solverCountEl = document.getElementById('solverCount');
+        this.solverSuggestBtn = document.getElementById('solverSuggestButton');
+        // Started on first use; replies older than solverRequestId are dropped.
+        this.solverWorker = null;
+        this.solverRequestId = 0;
+        this.solverSuggestion = null;
+        this.inputFormatBtn = document.getElementById('inputFormatBtn');
+        this.channelInputsEl = document.getElementById('channelInputs');
+        this.channelInputs = Array.from(this.channelInputsEl.querySelectorAll('.channel-input'));
     }
             
     buildGrid() {
-        // Build a maxAttempts x 6 grid
-        this.gridRows = this.maxAttempts;
-        this.gridCols = 6;
+        // Build a maxAttempts x hexLength grid (one column per channel for
+        // RGB / HSL / OKLCH). Zen games start small and grow in appendGridRow().
+        const channels = this.channelFormat ? this.channelFormat.channels : null;
+        this.gridRows = this.isEndless() ? ZEN_INITIAL_ROWS : this.maxAttempts;
+        this.gridCols = channels ? channels.length : this.rules.hexLength;
         this.currentRow = 0;
         this.currentCol = 0;
+        this.pendingChannelValues = null;
         this.gridEl = document.getElementById('hexGrid');
         this.gridEl.style.setProperty('--grid-rows', String(this.gridRows));
+        this.gridEl.style.setProperty('--grid-cols', String(this.gridCols));
+        this.gridEl.classList.toggle('channel-grid', !!channels);
+        this.gridEl.classList.toggle('endless-grid', this.isEndless());
+        this.gridEl.scrollTop = 0;
+        // Hex keys don't type into a channel grid; ENTER still submits.
+        document.getElementById('hexKeyboard')?.classList.toggle('channel-mode', !!channels);
         this.gridEl.innerHTML = '';
         this.gridCellRefs = [];
 
@@ -236,53 +776,18 @@ class HexColorWordle {
         this.pasteButtons = [];
         this.rowActionModes = [];
         this.rowActionIcons = [];
+        this.rowDeltas = [];
+        this.reviewButtons = [];
         for (let r = 0; r < this.gridRows; r++) {
-            const rowEl = document.createElement('div');
-            rowEl.className = 'hex-grid-row';
-            // left hashtag label
-            const label = document.createElement('div');
-            label.className = 'row-label';
-            label.textContent = '#';
-            rowEl.appendChild(label);
-            this.rowLabels.push(label);
-            const rowCells = [];
-            for (let c = 0; c < this.gridCols; c++) {
-                const cell = document.createElement('div');
-                cell.className = 'grid-cell';
-                rowEl.appendChild(cell);
-                rowCells.push(cell);
-            }
-
-            // right-side paste action
-            const action = document.createElement('div');
-            action.className = 'row-action';
-            const pasteBtn = document.createElement('button');
-            pasteBtn.type = 'button';
-            pasteBtn.className = 'paste-btn';
-            pasteBtn.setAttribute('aria-label','Paste');
-            const svgNS = 'http://www.w3.org/2000/svg';
-            const pasteSvg = document.createElementNS(svgNS, 'svg');
-            pasteSvg.setAttribute('class', 'icon icon--paste');
-            pasteSvg.setAttribute('viewBox', '0 0 15 15');
-            const use = document.createElementNS(svgNS, 'use');
-            use.setAttribute('href', '#icon-paste');
-            pasteSvg.appendChild(use);
-            pasteBtn.appendChild(pasteSvg);
-            action.appendChild(pasteBtn);
-            rowEl.appendChild(action);
-            this.rowActions.push(action);
-            this.pasteButtons.push(pasteBtn);
-            this.rowActionModes.push('paste');
-            this.rowActionIcons.push(use);
-
-            this.gridEl.appendChild(rowEl);
-            this.gridCellRefs.push(rowCells);
+            this.createGridRow();
         }
         this.updateCaret();
         this.updateRowLabels();
         this.updatePasteAction();
         this.attachPasteHandlers();
         this.attachRowLabelHandlers();
+        this.renderGiveUpButton();
+        this.updateSolver();
         // focus handling: click grid focuses keyboard capture
         this.gridEl.tabIndex = 0;
         this.gridEl.removeEventListener('focus', this.handleGridFocus);
@@ -296,12 +801,210 @@ class HexColorWordle {
         safeFocus(this.gridEl);
     }
 
+    createGridRow() {
+        const channels = this.channelFormat ? this.channelFormat.channels : null;
+        const rowEl = document.createElement('div');
+        rowEl.className = 'hex-grid-row';
+        // left hashtag label
+        const label = document.createElement('div');
+        label.className = 'row-label';
+        label.textContent = '#';
+        rowEl.appendChild(label);
+        this.rowLabels.push(label);
+        const rowCells = [];
+        for (let c = 0; c < this.gridCols; c++) {
+            const cell = document.createElement('div');
+            cell.className = 'grid-cell';
+            if (channels) cell.dataset.channel = channels[c].label;
+            rowEl.appendChild(cell);
+            rowCells.push(cell);
+        }
+
+        // right-side paste action
+        const action = document.createElement('div');
+        action.className = 'row-action';
+        const pasteBtn = document.createElement('button');
+        pasteBtn.type = 'button';
+        pasteBtn.className = 'paste-btn';
+        pasteBtn.setAttribute('aria-label','Paste');
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const pasteSvg = document.createElementNS(svgNS, 'svg');
+        pasteSvg.setAttribute('class', 'icon icon--paste');
+        pasteSvg.setAttribute('viewBox', '0 0 15 15');
+        const use = document.createElementNS(svgNS, 'use');
+        use.setAttribute('href', '#icon-paste');
+        pasteSvg.appendChild(use);
+        pasteBtn.appendChild(pasteSvg);
+        action.appendChild(pasteBtn);
+        // ΔE readout, shown in the same slot once the row is submitted
+        const delta = document.createElement('span');
+        delta.className = 'row-delta';
+        action.appendChild(delta);
+        // Review button, shown next to share on the post-game row
+        const reviewBtn = document.createElement('button');
+        reviewBtn.type = 'button';
+        reviewBtn.className = 'paste-btn review-btn';
+        reviewBtn.setAttribute('aria-label', 'Review');
+        const reviewSvg = document.createElementNS(svgNS, 'svg');
+        reviewSvg.setAttribute('class', 'icon icon--paste');
+        reviewSvg.setAttribute('viewBox', '0 0 15 15');
+        const reviewUse = document.createElementNS(svgNS, 'use');
+        reviewUse.setAttribute('href', '#icon-review');
+        reviewSvg.appendChild(reviewUse);
+        reviewBtn.appendChild(reviewSvg);
+        action.appendChild(reviewBtn);
+        rowEl.appendChild(action);
+        this.rowDeltas.push(delta);
+        this.reviewButtons.push(reviewBtn);
+        this.rowActions.push(action);
+        this.pasteButtons.push(pasteBtn);
+        this.rowActionModes.push('paste');
+        this.rowActionIcons.push(use);
+
+        this.gridEl.appendChild(rowEl);
+        this.gridCellRefs.push(rowCells);
+    }
+
+    // Zen grids add a row once the current one is used up and keep it in view.
+    appendGridRow() {
+        this.createGridRow();
+        this.gridRows = this.gridCellRefs.length;
+        this.gridEl.style.setProperty('--grid-rows', String(this.gridRows));
+        this.attachPasteHandlers();
+        this.attachRowLabelHandlers();
+        this.gridEl.scrollTop = this.gridEl.scrollHeight;
+    }
+
+    isEndless() {
+        return isEndless(this.game);
+    }
+
+    // Shown once a Zen game has a guess on the board.
+    renderGiveUpButton() {
+        if (!this.giveUpButton) return;
+        const canGiveUp = this.isEndless() && !this.gameOver && this.guessHistory.length > 0;
+        this.giveUpButton.classList.toggle('hidden', !canGiveUp);
+    }
+
+    // ----- Remaining colors (solver.mjs) -----
+
+    // Unlimited hex grids only: dailies and challenges stay unassisted, and
+    // channel grids aren't scored digit by digit.
+    // The solver is a module worker, which file:// pages can't start.
+    canUseSolver() {
+        return this.mode === 'unlimited' && !this.channelFormat && typeof Worker === 'function' &&
+            location.protocol !== 'file:';
+    }
+
+    // Asks the worker for a fresh count; called whenever the board or the
+    // feedback the player sees changes.
+    updateSolver() {
+        if (!this.solverReadoutEl) return;
+        const settings = getGameSettings();
+        const enabled = !!settings.remainingColors && this.canUseSolver() && !this.gameOver;
+        this.solverReadoutEl.classList.toggle('hidden', !enabled);
+        this.solverRequestId++;
+        this.solverSuggestion = null;
+        if (!enabled) return;
+
+        if (!this.solverWorker) {
+            this.solverWorker = new Worker(new URL('solver.mjs', APP_SCRIPT_URL), { type: 'module' });
+            this.solverWorker.onmessage = ({ data }) => this.renderSolver(data);
+        }
+        this.solverSuggestBtn.disabled = true;
+        this.solverWorker.postMessage({
+            id: this.solverRequestId,
+            digits: this.rules.hexLength,
+            rules: { closeDistance: this.rules.closeDistance, nearDistance: this.rules.nearDistance },
+            guesses: this.guessHistory.map((entry) => ({
+                hex: entry.hex,
+                statuses: this.getGuessStatuses(entry),
+                directions: this.getGuessDirections(entry)
+            })),
+            useDirections: settings.feedbackMode === 'directional',
+            candidatesOnly: this.hardMode
+        });
+    }
+
+    // "1,024 colors left (2 · 4 · 16 · 1 · 8 · 1)", one factor per digit
+    renderSolver(result) {
+        if (result.id !== this.solverRequestId) return;
+        const perDigit = result.candidates.map((values) => values.length).join(' · ');
+        const noun = result.total === 1 ? 'color' : 'colors';
+        this.solverCountEl.textContent = `${result.total.toLocaleString('en-US')} ${noun} left (${perDigit})`;
+        this.solverSuggestion = result.suggestion;
+        this.solverSuggestBtn.disabled = !result.suggestion;
+    }
+
+    // Puts the suggested guess in the picker, like clicking a row label.
+    applySolverSuggestion() {
+        if (!this.solverSuggestion || this.gameOver) return;
+        this.hexOutputField.value = this.solverSuggestion;
+        this.updateFromHex(this.solverSuggestion);
+        if (typeof window.showToast === 'function') {
+            window.showToast(`Try #${this.solverSuggestion}`);
+        }
+    }
+
+    // Zen games have no last row, so this is the only way to lose one.
+    giveUp() {
+        if (!this.isEndless() || this.gameOver || this.isAnimating) return;
+        if (this.guessHistory.length === 0) return;
+        this.game = giveUpGame(this.game);
+        this.endGame(false, null, 0);
+    }
+
     updateCaret() {
         // highlight current cell
         this.gridCellRefs.flat().forEach(cell => cell.classList.remove('grid-current'));
         if (this.currentRow < this.gridRows && this.currentCol < this.gridCols) {
             this.gridCellRefs[this.currentRow][this.currentCol].classList.add('grid-current');
         }
+        this.updateKeyboardHints();
+    }
+
+    // Digits still possible in one column, given every submitted row.
+    // A green in the column confirms its digit.
+    getColumnHints(col) {
+        const directional = getGameSettings().feedbackMode === 'directional';
+        const rows = this.guessHistory.filter((entry) => entry && !entry.values && entry.hex?.length === this.gridCols);
+        const possible = new Set();
+        let confirmed = null;
+        for (let value = 0; value < 16; value++) {
+            const digit = value.toString(16).toUpperCase();
+            const fits = rows.every((entry) => {
+                const status = this.getGuessStatuses(entry)[col];
+                const distance = getDigitDistance(entry.hex[col], digit);
+                if (getDigitStatus(this.rules, distance) !== status) return false;
+                // Arrows only count when the player can see them.
+                const direction = directional && status !== 'correct' ? this.getGuessDirections(entry)[col] : null;
+                if (!direction) return true;
+                return direction === (value > parseInt(entry.hex[col], 16) ? 'up' : 'down');
+            });
+            if (fits) possible.add(digit);
+            if (rows.some((entry) => entry.hex[col] === digit && this.getGuessStatuses(entry)[col] === 'correct')) {
+                confirmed = digit;
+            }
+        }
+        return { possible, confirmed };
+    }
+
+    // Keys show what's known about the column under the caret: confirmed
+    // (green), ruled out (dimmed) or still possible. Left alone while a row
+    // is revealing so the keys don't give its colors away early.
+    updateKeyboardHints() {
+        if (this.isAnimating) return;
+        const keys = document.querySelectorAll('#hexKeyboard .key-btn[data-key]');
+        const showHints = !this.channelFormat && !this.gameOver && this.currentCol < this.gridCols && this.guessHistory.length > 0;
+        const hints = showHints ? this.getColumnHints(this.currentCol) : null;
+        keys.forEach((key) => {
+            const digit = key.dataset.key.toUpperCase();
+            let hint = '';
+            if (hints && digit === hints.confirmed) hint = 'confirmed';
+            else if (hints && !hints.possible.has(digit)) hint = 'ruled-out';
+            if (hint) key.dataset.hint = hint;
+            else delete key.dataset.hint;
+        });
     }
 
     handleKeydown = (e) => {
@@ -311,6 +1014,8 @@ class HexColorWordle {
         // Never process game input while the daily error overlay is showing
         // (the grid is display:none but the document keydown listener still fires).
         if (document.body.classList.contains('daily-load-active')) return;
+        // The speedrun clock starts on the first keystroke, picker fields included.
+        if (!e.metaKey && !e.ctrlKey && !e.altKey) this.startSpeedrunClock();
         // accept input anywhere; if user is typing in another field, ignore
         const active = document.activeElement;
         const isTypingInInput = active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA');
@@ -318,6 +1023,15 @@ class HexColorWordle {
         // Never intercept browser shortcuts (Cmd/Ctrl/Alt combos)
         if (e.metaKey || e.ctrlKey || e.altKey) return;
 
+        // Channel rows are filled from the picker and channel fields.
+        if (this.channelFormat) {
+            if (e.key === 'Enter') {
+                this.submitGuess();
+                e.preventDefault();
+            }
+            return;
+        }
+
         const key = e.key.toUpperCase();
         if (/^[0-9A-F]$/.test(key)) {
             if (this.currentCol < this.gridCols) {
@@ -344,6 +1058,7 @@ class HexColorWordle {
 
     handlePaste = async (e) => {
         if (this.gameOver || this.isAnimating) return;
+        this.startSpeedrunClock();
         
         // Prevent default paste behavior
         if (e && e.preventDefault) {
@@ -359,8 +1074,16 @@ class HexColorWordle {
                 text = await navigator.clipboard.readText();
             }
             
-            const hex = (text || '').replace(/[^0-9A-Fa-f]/g, '').toUpperCase().slice(0, 6);
+            let hex = (text || '').replace(/[^0-9A-Fa-f]/g, '').toUpperCase().slice(0, 6);
             if (!hex) return;
+            // A channel grid takes the pasted color through the picker.
+            if (this.channelFormat) {
+                if (hex.length === 3 || hex.length === 6) this.updateFromHex(hex);
+                return;
+            }
+            // A full six-digit color pasted into the short grid is snapped.
+            if (this.rules.hexLength === 3 && hex.length === 6) hex = toShortHex(hex);
+            hex = hex.slice(0, this.gridCols);
             
             // Fill the current row with the pasted hex
             for (let i = 0; i < this.gridCols; i++) {
@@ -391,7 +1114,7 @@ class HexColorWordle {
     getShareDateText() {
         const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
         const fallback = new Date();
-        const source = this.mode === 'daily'
+        const source = this.hasSavedState()
             ? this.dailyPuzzleDate
             : fallback.toISOString().split('T')[0];
         const ymdMatch = typeof source === 'string'
@@ -412,43 +1135,91 @@ class HexColorWordle {
     }
 
     buildShareResultsText() {
-        const modeLabel = this.mode === 'daily' ? 'Daily' : 'Unlimited';
+        if (this.mode === 'challenge') return this.buildChallengeShareText();
+
+        const modeLabels = { daily: 'Daily', archive: 'Archive', unlimited: 'Unlimited', custom: 'Custom' };
+        const variants = [
+            this.rules.id !== 'classic' && this.rules.label,
+            this.channelFormat?.label,
+            this.memoryMode && 'Memory',
+            this.closeEnoughDeltaE > 0 && `ΔE<${this.closeEnoughDeltaE}`
+        ].filter(Boolean);
+        const variantLabel = variants.length ? ` (${variants.join(', ')})` : '';
+        const modeLabel = (modeLabels[this.mode] || 'Unlimited') + variantLabel;
+        const numberLabel = this.hasSavedState() && this.puzzleNumber ? ` #${this.puzzleNumber}` : '';
         const dateLabel = this.getShareDateText();
+        const attemptsLabel = `${this.getShareAttemptsText()} Attempts${this.getShareTimeText()}`;
+        const guessLines = this.getShareGuessLines();
+
+        const special = this.gameOver && this.puzzleSpecial;
+        const specialLine = special ? `${special.title || special.caption}\n` : '';
+
+        // Daily results carry a server-signed code that /verify can check.
+        const verifyLine = this.verificationCode ? `Verify: ${this.verificationCode}\n` : '';
+        // Custom puzzles link back to themselves so others can play the same one.
+        const shareUrl = this.customToken ? `https://hexguessr.com/play/${this.customToken}` : 'https://hexguessr.com';
+
+        return `HexGuessr${numberLabel} - ${modeLabel}\n${dateLabel}\n${specialLine}${attemptsLabel}\n\n${guessLines.join('\n')}\n\n${verifyLine}${shareUrl}`;
+    }
+
+    // "3/5", or "3/5*" for a hard mode game, like Wordle. A close-enough
+    // win adds "≈" since its last row isn't all green.
+    getShareAttemptsText() {
         const attemptsUsed = Math.min(this.guessHistory.length, this.maxAttempts);
-        const attemptsLabel = `${attemptsUsed}/${this.maxAttempts} Attempts`;
+        const attemptsCap = this.isEndless() ? '∞' : this.maxAttempts;
+        const closeEnoughMark = this.getCloseEnoughWin() ? '≈' : '';
+        return `${attemptsUsed}/${attemptsCap}${this.hardMode ? '*' : ''}${closeEnoughMark}`;
+    }
+
+    // " · 1:23.4" after the attempts of a finished speedrun
+    getShareTimeText() {
+        if (!this.speedrunMode || !this.speedrunStarted || !this.gameOver) return '';
+        return ` · ${formatSpeedrunTime(this.speedrunElapsedMs)}`;
+    }
+
+    getShareGuessLines() {
         const statusToEmoji = {
             correct: '🟩',
             close: '🟨',
             near: '🟧',
             wrong: '⬜'
         };
+        const directionToEmoji = { up: '⬆️', down: '⬇️' };
+        const directional = getGameSettings().feedbackMode === 'directional';
+        return this.guessHistory
+            .filter((entry) => entry && typeof entry.hex === 'string' && this.getGuessStatuses(entry).length === this.gridCols)
+            .map((entry) => {
+                const squares = this.getGuessStatuses(entry)
+                    .map((status) => statusToEmoji[status] || statusToEmoji.wrong)
+                    .join('');
+                // Arrows go after the squares so /verify still reads the grid.
+                const directions = directional ? this.getGuessDirections(entry) : [];
+                if (directions.length !== this.gridCols) return squares;
+                return `${squares} ${directions.map((direction) => directionToEmoji[direction] || '➖').join('')}`;
+            });
+    }
+
+    // Receiver's share text: both results side by side, the grid, the verdict
+    // and the same challenge link so others can take it on too.
+    buildChallengeShareText() {
+        const friend = this.challenge;
+        const verdicts = {
+            won: 'I won the challenge!',
+            lost: 'My friend won the challenge!',
+            tie: "It's a tie!"
+        };
+        const verdict = this.gameOver ? `${verdicts[this.getChallengeOutcome()]}\n` : '';
 
-        const guessLines = this.guessHistory
-            .filter((entry) => entry && typeof entry.hex === 'string' && entry.hex.length === 6)
-            .map((entry) => this.getStatusesForGuess(entry.hex.toUpperCase())
-                .map((status) => statusToEmoji[status] || statusToEmoji.wrong)
-                .join(''));
+        const memoryLabel = this.memoryMode ? ' (Memory)' : '';
 
-        return `HexGuessr - ${modeLabel}\n${dateLabel}\n${attemptsLabel}\n\n${guessLines.join('\n')}\n\nhttps://hexguessr.com`;
+        return `HexGuessr - Challenge${memoryLabel}\nMe: ${this.getShareAttemptsText()} Attempts${this.getShareTimeText()}\nFriend: ${friend.attempts}/${this.maxAttempts} Attempts\n\n${this.getShareGuessLines().join('\n')}\n\n${verdict}https://hexguessr.com/c/${friend.token}`;
     }
 
     async copyShareResults() {
         const text = this.buildShareResultsText();
 
         try {
-            if (navigator.clipboard && window.isSecureContext) {
-                await navigator.clipboard.writeText(text);
-            } else {
-                const ta = document.createElement('textarea');
-                ta.value = text;
-                ta.style.position = 'fixed';
-                ta.style.opacity = '0';
-                document.body.appendChild(ta);
-                try { ta.focus({ preventScroll: true }); } catch { ta.focus(); }
-                ta.select();
-                document.execCommand('copy');
-                document.body.removeChild(ta);
-            }
+            await copyTextToClipboard(text);
 
             if (typeof window.showToast === 'function') {
                 window.showToast('Game results copied!');
@@ -510,13 +1281,23 @@ class HexColorWordle {
             rowCells.forEach(cell => cell.parentElement.classList.add('grid-row-locked'));
         }
     }
+
+    unlockRow(rowIndex) {
+        const rowCells = this.gridCellRefs[rowIndex];
+        if (rowCells) {
+            rowCells.forEach(cell => cell.parentElement.classList.remove('grid-row-locked'));
+        }
+    }
     
     showWaitForRevealNotification() {
-        // Show toast notification
+        this.rejectGuess('Wait for color reveal to finish!');
+    }
+
+    // Toast the reason a guess can't be submitted and shake the current row.
+    rejectGuess(message) {
         if (typeof window.showToast === 'function') {
-            window.showToast('Wait for color reveal to finish!');
+            window.showToast(message);
         }
-        // Shake the current row
         const currentRowEl = this.gridCellRefs[this.currentRow]?.[0]?.parentElement;
         if (currentRowEl) {
             currentRowEl.classList.remove('shake');
@@ -533,9 +1314,15 @@ class HexColorWordle {
         // nothing to clear visually; advance to next row
         this.currentRow++;
         this.currentCol = 0;
+        this.pendingChannelValues = null;
+        if (this.isEndless() && this.currentRow >= this.gridRows) {
+            this.appendGridRow();
+        }
         this.updateCaret();
         this.updateRowLabels();
         this.updatePasteAction();
+        this.renderGiveUpButton();
+        this.updateSolver();
     }
 
     updateRowLabels() {
@@ -572,6 +1359,14 @@ class HexColorWordle {
         lbl.classList.add('visible', 'colored');
         lbl.style.color = `#${hex}`;
     }
+
+    showRowDelta(rowIndex, colorError) {
+        const delta = this.rowDeltas[rowIndex];
+        if (!delta || !Number.isFinite(colorError)) return;
+        delta.textContent = colorError.toFixed(1);
+        delta.title = `Color difference (ΔE2000): ${colorError.toFixed(1)}`;
+        delta.classList.add('visible');
+    }
     
     updatePasteAction() {
         this.rowActions.forEach((el, idx) => {
@@ -588,6 +1383,7 @@ class HexColorWordle {
 
         const normalizedMode = mode === 'share' ? 'share' : 'paste';
         this.rowActionModes[rowIndex] = normalizedMode;
+        this.rowActions[rowIndex]?.classList.toggle('share-mode', normalizedMode === 'share');
         btn.setAttribute('aria-label', normalizedMode === 'share' ? 'Share' : 'Paste');
         iconUse.setAttribute('href', normalizedMode === 'share' ? '#icon-share' : '#icon-paste');
     }
@@ -606,6 +1402,14 @@ class HexColorWordle {
                 await this.handlePaste();
             };
         });
+        this.reviewButtons.forEach((btn, idx) => {
+            btn.onclick = () => {
+                if (!this.gameOver || idx !== this.postGameActionRow) return;
+                if (typeof window.showReviewModal === 'function') {
+                    window.showReviewModal();
+                }
+            };
+        });
     }
 
     attachRowLabelHandlers() {
@@ -618,15 +1422,17 @@ class HexColorWordle {
                 const rowCells = this.gridCellRefs[rowIndex];
                 if (!rowCells) return;
 
-                // Build hex from the row's 6 cells
-                const hex = rowCells
-                    .map(cell => (cell.textContent || ''))
-                    .join('')
-                    .replace(/[^0-9A-Fa-f]/g, '')
-                    .toUpperCase();
+                // Build hex from the row's cells (channel rows keep it with the guess)
+                const hex = this.channelFormat
+                    ? (this.guessHistory[rowIndex]?.hex || '')
+                    : rowCells
+                        .map(cell => (cell.textContent || ''))
+                        .join('')
+                        .replace(/[^0-9A-Fa-f]/g, '')
+                        .toUpperCase();
 
-                // Only proceed if it's a full 6-char hex
-                if (hex.length !== 6) return;
+                // Only proceed if it's a full hex code
+                if (hex.length !== (this.channelFormat ? 6 : this.gridCols)) return;
 
                 // Put it into the main hex output + sync the picker
                 this.hexOutputField.value = hex;
@@ -644,10 +1450,11 @@ class HexColorWordle {
                     });
                 }
 
+                const field = this.inputFormat.channels.length ? this.channelInputs[0] : this.hexOutputField;
                 try {
-                    this.hexOutputField.focus({ preventScroll: true });
+                    field.focus({ preventScroll: true });
                 } catch {
-                    this.hexOutputField.focus();
+                    field.focus();
                 }
             };
         });
@@ -666,6 +1473,7 @@ class HexColorWordle {
             if (this.gameOver || this.isAnimating) return;
             const btn = e.target.closest('.key-btn');
             if (!btn) return;
+            this.startSpeedrunClock();
             const action = btn.dataset.action || '';
             const key = (btn.dataset.key || '').toUpperCase();
             
@@ -673,6 +1481,7 @@ class HexColorWordle {
                 this.submitGuess();
                 return;
             }
+            if (this.channelFormat) return;
             if (action === 'backspace') {
                    if (this.currentCol > 0) {
                     this.currentCol--;
@@ -903,7 +1712,7 @@ class HexColorWordle {
             const hasSelection = end > start;
 
             // At max length, block insertion unless user is replacing selected text.
-            if (current.length >= 6 && !hasSelection) {
+            if (current.length >= this.rules.hexLength && !hasSelection) {
                 e.preventDefault();
             }
         });
@@ -931,7 +1740,7 @@ class HexColorWordle {
                 const start = this.hexOutputField.selectionStart ?? 0;
                 const end = this.hexOutputField.selectionEnd ?? 0;
                 const hasSelection = end > start;
-                if (this.hexOutputField.value.length >= 6 && !hasSelection) {
+                if (this.hexOutputField.value.length >= this.rules.hexLength && !hasSelection) {
                     e.preventDefault();
                 }
             }
@@ -943,16 +1752,48 @@ class HexColorWordle {
             const filtered = input.value
                 .replace(/[^0-9A-Fa-f]/g, '')
                 .toUpperCase()
-                .slice(0, 6);
+                .slice(0, this.rules.hexLength);
             input.value = filtered;
             const caretPos = Math.min(pos ?? filtered.length, filtered.length);
             input.setSelectionRange(caretPos, caretPos);
 
-            if (filtered.length === 6) {
+            if (filtered.length === this.rules.hexLength) {
                 this.updateFromHex(filtered);
             }
         });
 
+        // ----- Channel fields (RGB / HSL / OKLCH) -----
+        this.inputFormatBtn.addEventListener('click', () => this.cycleInputFormat());
+        this.giveUpButton?.addEventListener('click', () => this.giveUp());
+        this.solverSuggestBtn?.addEventListener('click', () => this.applySolverSuggestion());
+
+        this.channelInputs.forEach((input) => {
+            input.addEventListener('input', () => {
+                const values = this.readChannelInputs();
+                if (!values) return;
+                const hex = channelValuesToHex(this.inputFormat, values);
+                // Keep the typed values as they are; only the picker follows.
+                this.updateFromHex(hex, false);
+                if (this.channelFormat) {
+                    this.fillChannelRow(this.channelFormat === this.inputFormat
+                        ? values
+                        : getChannelValues(this.channelFormat, hex));
+                }
+            });
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter') return;
+                e.preventDefault();
+                e.stopPropagation();
+                // Submits on a channel grid, otherwise just closes the mobile keyboard
+                if (this.channelFormat) {
+                    this.submitGuess();
+                } else {
+                    input.blur();
+                }
+            });
+        });
+
         this.copyBtn.addEventListener('click', async () => {
             const hexValue = (this.hexOutputField.value || '')
                 .toUpperCase()
@@ -1080,18 +1921,32 @@ class HexColorWordle {
         b = Math.round(b * 255);
                 
         // Convert to hex
-        const hex = ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase();
+        const hex = this.toPickerHex(((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1).toUpperCase());
                 
         // Update UI
         this.colorPreview.style.backgroundColor = `#${hex}`;
         this.hexOutputField.value = hex;
+        this.showPickerChannels(hex);
+    }
+
+    // The short-hex rule set snaps the picker to the 4096 #RGB colors.
+    toPickerHex(hex) {
+        return this.rules.hexLength === 3 ? toShortHex(hex) : hex;
+    }
+
+    // Re-apply the picker's current color after the hex length changes.
+    snapPicker() {
+        const current = (this.hexOutputField.value || '').toUpperCase();
+        this.updateFromHex(/^([0-9A-F]{3}|[0-9A-F]{6})$/.test(current) ? current : 'FF5733');
     }
             
-    updateFromHex(hex) {
+    updateFromHex(hex, syncChannels = true) {
+        hex = this.toPickerHex(expandHex(hex));
         // Convert hex to RGB
-        const r = parseInt(hex.substr(0, 2), 16) / 255;
-        const g = parseInt(hex.substr(2, 2), 16) / 255;
-        const b = parseInt(hex.substr(4, 2), 16) / 255;
+        const fullHex = expandHex(hex);
+        const r = parseInt(fullHex.substr(0, 2), 16) / 255;
+        const g = parseInt(fullHex.substr(2, 2), 16) / 255;
+        const b = parseInt(fullHex.substr(4, 2), 16) / 255;
 
         // Convert RGB to HSV
         const max = Math.max(r, g, b);
@@ -1129,6 +1984,67 @@ class HexColorWordle {
         // Update preview + hex output field
         this.colorPreview.style.backgroundColor = `#${hex}`;
         this.hexOutputField.value = hex;
+        if (syncChannels) this.showPickerChannels(hex);
+    }
+
+    // Show the picker's input format: "#" and the hex field, or the format
+    // name and its three channel fields.
+    applyInputFormat() {
+        this.inputFormat = getInputFormat(getGameSettings().inputFormat);
+        const { label, channels } = this.inputFormat;
+        this.hexOutputField.closest('.hex-output-container')?.classList.toggle('channel-mode', channels.length > 0);
+        this.channelInputsEl.classList.toggle('hidden', channels.length === 0);
+        this.inputFormatBtn.textContent = channels.length ? label : '#';
+        this.inputFormatBtn.setAttribute('aria-label', `Input format: ${label}`);
+        this.inputFormatBtn.title = 'Switch input format';
+        this.channelInputs.forEach((input, i) => {
+            input.placeholder = channels[i]?.label || '';
+            input.setAttribute('aria-label', channels[i] ? `${label} ${channels[i].label}` : '');
+        });
+        const hex = (this.hexOutputField.value || '').toUpperCase();
+        if (/^([0-9A-F]{3}|[0-9A-F]{6})$/.test(hex)) this.showPickerChannels(hex);
+    }
+
+    // The "#" prefix cycles HEX → RGB → HSL → OKLCH. An Unlimited grid
+    // follows along if its game hasn't started yet.
+    cycleInputFormat() {
+        const ids = Object.keys(INPUT_FORMATS);
+        const nextId = ids[(ids.indexOf(this.inputFormat.id) + 1) % ids.length];
+        saveGameSettings({ inputFormat: nextId });
+        this.applyInputFormat();
+        if (!this.setChannelFormat(this.getChannelFormatForMode()) && typeof window.showToast === 'function') {
+            window.showToast('The grid switches format from your next game');
+        }
+    }
+
+    // Null values (an empty or out-of-range field) mean there's no color yet.
+    readChannelInputs() {
+        const values = this.inputFormat.channels.map((channel, i) => parseChannelValue(channel, this.channelInputs[i].value));
+        return values.every((value) => value !== null) ? values : null;
+    }
+
+    // Mirror a picked color into the channel fields and, on a channel grid,
+    // into the current row.
+    showPickerChannels(hex) {
+        const { channels } = this.inputFormat;
+        if (channels.length) {
+            getChannelValues(this.inputFormat, hex).forEach((value, i) => {
+                this.channelInputs[i].value = formatChannelValue(channels[i], value);
+            });
+        }
+        if (this.channelFormat) {
+            this.fillChannelRow(getChannelValues(this.channelFormat, hex));
+        }
+    }
+
+    fillChannelRow(values) {
+        if (this.gameOver || this.isAnimating || !this.gridCellRefs?.[this.currentRow]) return;
+        values.forEach((value, i) => {
+            this.setCell(this.currentRow, i, formatChannelValue(this.channelFormat.channels[i], value));
+        });
+        this.pendingChannelValues = values;
+        this.currentCol = this.gridCols;
+        this.updateCaret();
     }
 
     handleResize = () => {
@@ -1225,45 +2141,88 @@ class HexColorWordle {
     }
 
 
-    generateRandomColor() {
-        return Math.floor(Math.random() * 16777215).toString(16).padStart(6, '0').toUpperCase();
-    }
-
     showColor() {
         // Prevent reveal during row-reveal animation/settle window so attempt timing stays correct.
         if (this.colorVisible || this.gameOver || this.hasRevealedThisAttempt || this.isAnimating) return;
+        if (this.isMemoryRevealSpent()) return;
+        // Looking at the color counts as starting the run.
+        this.startSpeedrunClock();
                 
+        // Count the reveal as in progress right away so a guess can't be
+        // submitted while the server preview is still loading.
         this.colorVisible = true;
         this.hasRevealedThisAttempt = true;
-        this.colorDisplay.style.background = `#${this.targetColor}`;
+        if (this.memoryMode) this.memoryRevealUsed = true;
+
+        if (this.scoring === 'server') {
+            this.catchUpDailyToken()
+                .then(() => fetchDailyPreview({
+                    date: this.dailyPuzzleDate,
+                    token: this.dailyToken,
+                    memoryMode: this.memoryMode
+                }))
+                .then(({ token, previewUrl }) => {
+                    this.dailyToken = token;
+                    this.revealTarget(
+                        `center / cover no-repeat url("${previewUrl}")`,
+                        () => URL.revokeObjectURL(previewUrl)
+                    );
+                })
+                .catch(() => {
+                    this.colorVisible = false;
+                    this.hasRevealedThisAttempt = false;
+                    this.memoryRevealUsed = false;
+                    if (typeof window.showToast === 'function') {
+                        window.showToast("Couldn't load color preview");
+                    }
+                });
+            return;
+        }
+
+        this.revealTarget(`#${this.targetColor}`);
+    }
+
+    revealTarget(background, onHidden = null) {
+        // The game can end while a server preview is in flight.
+        if (this.gameOver) {
+            this.colorVisible = false;
+            if (onHidden) onHidden();
+            return;
+        }
+
+        this.colorDisplay.style.background = background;
         this.colorDisplay.classList.remove('hidden');
         this.colorDisplay.textContent = '';
         this.colorDisplay.classList.add('disabled');
                 
-        // Calculate duration: increases with each attempt
-        const duration = this.baseDuration + (this.currentAttempt - 1) * 500;
+        // Calculate duration: increases with each attempt (memory mode has
+        // its own fixed length for the one reveal)
+        const duration = this.memoryMode
+            ? this.memoryRevealMs
+            : this.rules.revealBaseMs + (this.currentAttempt - 1) * this.rules.revealStepMs;
                 
         this.startTimer(duration);
         
         // Save state immediately after revealing color
-        if (this.mode === 'daily') {
+        if (this.hasSavedState()) {
             this.saveDailyGameState();
         }
                 
         setTimeout(() => {
             if (!this.gameOver) {
                 this.colorDisplay.classList.add('hidden');
-                this.colorDisplay.textContent = 'Submit a guess to reveal again!';
+                this.colorDisplay.textContent = this.memoryMode ? 'No more reveals this game!' : 'Submit a guess to reveal again!';
                 this.colorVisible = false;
                 // Keep timer bar empty after color is hidden
                 this.timerFill.style.transition = '';
                 this.timerFill.style.transform = 'scaleX(0)';
                 
                 // Save state after timer expires
-                if (this.mode === 'daily') {
+                if (this.hasSavedState()) {
                     this.saveDailyGameState();
                 }
             }
+            if (onHidden) onHidden();
         }, duration);
     }
 
@@ -1274,7 +2233,7 @@ class HexColorWordle {
         });
     }
 
-    submitGuess() {
+    async submitGuess() {
         if (this.gameOver || this.isAnimating) return;
         // Block submission if modal is open
         if (document.body.classList.contains('modal-open')) return;
@@ -1283,66 +2242,57 @@ class HexColorWordle {
             this.showWaitForRevealNotification();
             return;
         }
-        const guess = this.getCurrentGuess();
+        // A channel grid submits the typed values; the grid row only shows them.
+        const values = this.channelFormat ? this.pendingChannelValues : null;
+        const guess = values ? channelValuesToHex(this.channelFormat, values) : this.getCurrentGuess();
         
         // Validation with toast notification and shake animation
-        if (guess.length < 6) {
-            // Show toast notification
-            if (typeof window.showToast === 'function') {
-                window.showToast('Hex code is too short');
-            }
-            // Shake the current row
-            const currentRowEl = this.gridCellRefs[this.currentRow][0]?.parentElement;
-            if (currentRowEl) {
-                currentRowEl.classList.remove('shake');
-                // Force reflow to restart animation
-                void currentRowEl.offsetWidth;
-                currentRowEl.classList.add('shake');
-                // Remove shake class after animation completes
-                setTimeout(() => {
-                    currentRowEl.classList.remove('shake');
-                }, 500);
-            }
+        const guessError = getGuessError(this.game, guess, values);
+        if (guessError) {
+            this.rejectGuess(guessError);
             return;
         }
         
-        if (!/^[0-9A-F]{6}$/.test(guess)) {
-            if (typeof window.showToast === 'function') {
-                window.showToast('Invalid characters in hex code');
-            }
-            // Shake the current row
-            const currentRowEl = this.gridCellRefs[this.currentRow][0]?.parentElement;
-            if (currentRowEl) {
-                currentRowEl.classList.remove('shake');
-                void currentRowEl.offsetWidth;
-                currentRowEl.classList.add('shake');
-                setTimeout(() => {
-                    currentRowEl.classList.remove('shake');
-                }, 500);
-            }
-            return;
-        }
-        
-        // Calculate and store color error for this guess (after validation passes)
-        const colorError = this.calculateColorError(guess, this.targetColor);
-        this.guessHistory.push({
-            hex: guess,
-            colorError: colorError
-        });
         const submittedRow = this.currentRow;
 
         // lock the row UI
         this.lockCurrentRow();
         
-        // Set animation flag to prevent input during animation
+        // Set animation flag to prevent input while scoring + animating
         this.isAnimating = true;
+
+        let result;
+        try {
+            result = await this.scoreGuess(guess, values);
+        } catch {
+            // Daily scoring failed (offline, timeout): leave the row editable.
+            this.unlockRow(submittedRow);
+            this.isAnimating = false;
+            if (typeof window.showToast === 'function') {
+                window.showToast("Couldn't check guess, try again");
+            }
+            return;
+        }
+        if (result.target) {
+            this.targetColor = result.target;
+        }
+        if (result.receipt) {
+            this.dailyReceipt = result.receipt;
+            this.verificationCode = result.verificationCode;
+        }
+        if (result.special) {
+            this.puzzleSpecial = result.special;
+        }
+
+        // Store color error for this guess (after validation + scoring)
+        this.game = applyGuess(this.game, guess, result, values);
                 
         // Process the guess animation first
-        this.processGuess(guess);
+        this.processGuess(guess, result.statuses, result.directions);
 
         // Persist submitted guess immediately so leaving/reloading during the
         // reveal-settle delay does not drop progress in daily mode.
-        if (this.mode === 'daily') {
+        if (this.hasSavedState()) {
             this.saveDailyGameState();
         }
         
@@ -1352,14 +2302,21 @@ class HexColorWordle {
         const rowRevealSettleDelay = 1100;
         setTimeout(() => {
             this.isAnimating = false; // Allow input again
+            this.renderChannelSummary();
+            this.updateKeyboardHints();
             if (!this.gameOver) {
                 this.hasRevealedThisAttempt = false;
-                this.colorDisplay.classList.remove('disabled');
-                if (!this.colorVisible) {
-                    this.colorDisplay.textContent = 'Click to reveal color!';
-                    // Refill timer at the same moment the reveal prompt resets
-                    this.timerFill.style.transition = '';
-                    this.timerFill.style.transform = 'scaleX(1)';
+                if (this.memoryMode) {
+                    // The one reveal was at the start (or skipped); stay locked.
+                    this.showMemoryRevealLocked();
+                } else {
+                    this.colorDisplay.classList.remove('disabled');
+                    if (!this.colorVisible) {
+                        this.colorDisplay.textContent = 'Click to reveal color!';
+                        // Refill timer at the same moment the reveal prompt resets
+                        this.timerFill.style.transition = '';
+                        this.timerFill.style.transform = 'scaleX(1)';
+                    }
                 }
                 // Progress attempt/UI only after reveal animation settles so
                 // there is no early cue before row transition.
@@ -1370,26 +2327,70 @@ class HexColorWordle {
                 this.clearCurrentRowBuffer();
                 // Persist the reset reveal-state for daily mode so reload doesn't
                 // incorrectly show "Submit a guess to reveal again!".
-                if (this.mode === 'daily') {
+                if (this.hasSavedState()) {
                     this.saveDailyGameState();
                 }
             }
         }, rowRevealSettleDelay); // Wait for reveal animation to complete before row transition
         this.colorizeRowLabel(submittedRow, guess);
+        this.showRowDelta(submittedRow, result.colorError);
         
-        if (guess === this.targetColor) {
+        if (result.solved) {
             this.endGame(true, submittedRow, rowRevealSettleDelay);
         } 
-        else if (this.currentAttempt >= this.maxAttempts) {
+        else if (result.gameOver) {
             this.endGame(false, submittedRow, rowRevealSettleDelay);
         } 
     }
 
-    processGuess(guess) {
+    // Local modes score in the browser. The daily posts each guess with the
+    // game token to the server, which answers with the same statuses/error
+    // and reveals the target only on the final guess.
+    async scoreGuess(guess, values = null) {
+        if (this.scoring === 'server') {
+            await this.catchUpDailyToken();
+            const result = await postDailyGuess({
+                date: this.dailyPuzzleDate,
+                token: this.dailyToken,
+                guess,
+                hardMode: this.hardMode,
+                memoryMode: this.memoryMode
+            });
+            this.dailyToken = result.token;
+            return result;
+        }
+
+        return {
+            ...scoreGuess(this.game, guess, values),
+            target: null,
+            receipt: null,
+            verificationCode: null,
+            special: null
+        };
+    }
+
+    // Starts the server's copy of the game before its first reveal or guess.
+    // Saves from before game tokens have guesses but no token; those guesses
+    // are replayed one at a time so the server's copy catches up.
+    async catchUpDailyToken() {
+        if (this.dailyToken) return;
+        let token = await postDailyStart({ date: this.dailyPuzzleDate });
+        for (const entry of this.guessHistory) {
+            ({ token } = await postDailyGuess({
+                date: this.dailyPuzzleDate,
+                token,
+                guess: entry.hex,
+                hardMode: this.hardMode,
+                memoryMode: this.memoryMode
+            }));
+        }
+        this.dailyToken = token;
+    }
+
+    processGuess(guess, statuses, directions = null) {
         const rowCells = this.gridCellRefs[this.currentRow];
 
-        // 1) Compute statuses up front, but don't apply yet
-        const statuses = this.getStatusesForGuess(guess);
+        // 1) Statuses are computed up front, but not applied yet
 
         // 2) Ensure each cell's character is wrapped for crisp control (doesn't change visuals)
         rowCells.forEach((cell) => {
@@ -1420,6 +2421,10 @@ class HexColorWordle {
                 setTimeout(() => {
                     cell.classList.remove('correct', 'close', 'near', 'wrong'); // safety
                     cell.classList.add(statuses[i]);
+                    // Arrow hint, only drawn while directional feedback is on
+                    if (directions && directions[i]) {
+                        cell.dataset.hint = directions[i];
+                    }
                 }, swapAt);
 
                 // end: clear jump, add a tiny landing pop (optional)
@@ -1432,27 +2437,35 @@ class HexColorWordle {
         });
     }
 
-    getDigitDistance(guessChar, targetChar) {
-        const guessValue = parseInt(guessChar, 16);
-        const targetValue = parseInt(targetChar, 16);
-        return Math.abs(guessValue - targetValue);
+    // Prefer statuses stored with the guess: server-scored daily guesses
+    // can't be rescored locally until the target is revealed.
+    getGuessStatuses(entry) {
+        return getGuessStatuses(this.game, entry);
     }
 
-    getStatusesForGuess(guess) {
-        const statuses = [];
-        for (let i = 0; i < 6; i++) {
-            const distance = this.getDigitDistance(guess[i], this.targetColor[i]);
-            if (distance === 0) {
-                statuses.push('correct');
-            } else if (distance <= 1) {
-                statuses.push('close');
-            } else if (distance <= 3) {
-                statuses.push('near');
-            } else {
-                statuses.push('wrong');
-            }
-        }
-        return statuses;
+    getGuessDirections(entry) {
+        return getGuessDirections(this.game, entry);
+    }
+
+    getGuessChannels(entry) {
+        return getGuessChannels(this.game, entry);
+    }
+
+    // Rough R/G/B summary of the latest guess under the grid, when both
+    // directional feedback and the summary are switched on.
+    renderChannelSummary() {
+        if (!this.guessesContainer) return;
+        const settings = getGameSettings();
+        const lastEntry = this.guessHistory[this.guessHistory.length - 1];
+        const offsets = settings.feedbackMode === 'directional' && settings.channelSummary && lastEntry
+            ? this.getGuessChannels(lastEntry)
+            : null;
+        this.guessesContainer.innerHTML = '';
+        if (!offsets) return;
+        const summary = document.createElement('p');
+        summary.className = 'channel-summary';
+        summary.textContent = formatChannelSummary(offsets);
+        this.guessesContainer.appendChild(summary);
     }
 
     playWinGridSweep() {
@@ -1462,7 +2475,7 @@ class HexColorWordle {
 
         for (let col = 0; col < this.gridCols; col++) {
             setTimeout(() => {
-                for (let row = 0; row < this.maxAttempts; row++) {
+                for (let row = 0; row < this.gridRows; row++) {
                     const cell = this.gridCellRefs[row]?.[col];
                     if (!cell) continue;
 
@@ -1483,6 +2496,10 @@ class HexColorWordle {
 
     endGame(won, finalRowIndex = null, postSubmitDelay = 1100) {
         this.gameOver = true;
+        this.stopSpeedrunClock();
+        this.renderGiveUpButton();
+        this.updateSolver();
+        this.updateKeyboardHints();
         if (Number.isInteger(finalRowIndex)) {
             this.postGameActionRow = Math.max(0, Math.min(this.gridRows - 1, finalRowIndex));
         } else if (this.guessHistory.length > 0) {
@@ -1522,13 +2539,13 @@ class HexColorWordle {
                 this.playWinGridSweep();
             }
 
-            if (this.mode === 'daily') {
+            if (this.hasSavedState()) {
                 this.saveDailyGameState();
             }
             
             // Show random win/loss message
             if (typeof window.showToast === 'function') {
-                const message = this.getRandomGameMessage(won, this.currentAttempt);
+                const message = this.getRandomGameMessage(won, this.currentAttempt, this.getCloseEnoughWin());
                 window.showToast(message, 3000);
             }
             
@@ -1549,15 +2566,50 @@ class HexColorWordle {
         
         // Update statistics
         this.updateGameStats(won);
+        if (won && this.speedrunMode && this.speedrunStarted) {
+            this.speedrunRank = recordSpeedrunTime(this.rules.id, {
+                ms: Math.round(this.speedrunElapsedMs),
+                attempts: this.guessHistory.length,
+                mode: this.mode,
+                date: new Date().toISOString().split('T')[0]
+            });
+        }
         
-        // Save daily completion and final state if in daily mode
+        // Save daily completion and final state if in daily mode.
+        // Archive games only keep their per-date state; the completed flag
+        // lives in it, so the daily completion marker is left untouched.
         if (this.mode === 'daily') {
             this.saveDailyCompletion(won);
+            this.reportDailyResult();
+        }
+        if (this.hasSavedState()) {
             this.saveDailyGameState(); // Save final state with completed grid
         }
     }
 
-    getRandomGameMessage(won, attempts) {
+    // Fire-and-forget: a failed report is retried on the next load
+    // (resultReported is persisted with the daily state).
+    reportDailyResult() {
+        if (this.mode !== 'daily' || !this.dailyReceipt || this.resultReported) return;
+        postDailyResult({ receipt: this.dailyReceipt })
+            .then(() => {
+                this.resultReported = true;
+                this.saveDailyGameState();
+            })
+            .catch(() => {});
+    }
+
+    getRandomGameMessage(won, attempts, closeEnoughWin = null) {
+        if (won && closeEnoughWin) {
+            const closeEnoughMessages = [
+                'Close enough!',
+                'Near enough!',
+                'Good enough for the eye!',
+                'Practically perfect!'
+            ];
+            const message = closeEnoughMessages[Math.floor(Math.random() * closeEnoughMessages.length)];
+            return `${message} ΔE ${closeEnoughWin.colorError.toFixed(1)}`;
+        }
         if (won) {
             const winMessages = [
                 'Genius!',
@@ -1576,7 +2628,7 @@ class HexColorWordle {
             // Special messages for attempts
             if (attempts === 1) return 'Be honest. Did you cheat?';
             if (attempts === 2) return 'Are you a wizard!?';
-            if (attempts === 5) return 'Phew! Close one!';
+            if (!this.isEndless() && attempts === this.maxAttempts) return 'Phew! Close one!';
             
             return winMessages[Math.floor(Math.random() * winMessages.length)];
         } else {
@@ -1595,7 +2647,7 @@ class HexColorWordle {
     }
 
     updateGameStats(won) {
-        const storageKey = `gameStats_${this.mode}`;
+        const storageKey = `gameStats_${this.getStatsBucket()}`;
         const savedStats = localStorage.getItem(storageKey);
         let stats = savedStats ? JSON.parse(savedStats) : {
             gamesPlayed: 0,
@@ -1604,11 +2656,16 @@ class HexColorWordle {
             currentStreak: 0,
             maxStreak: 0,
             totalGuessesAllGames: 0,
-            totalColorErrorAllGuesses: 0,
-            totalErrorReduction: 0
+            guessDistribution: {}
         };
 
         stats.gamesPlayed++;
+
+        // Wins bucketed by attempts used, losses under "fail". Stats saved
+        // before this existed simply start counting from here.
+        if (!stats.guessDistribution) stats.guessDistribution = {};
+        const distributionBucket = won ? String(this.guessHistory.length) : 'fail';
+        stats.guessDistribution[distributionBucket] = (stats.guessDistribution[distributionBucket] || 0) + 1;
         
         if (won) {
             stats.gamesWon++;
@@ -1621,40 +2678,54 @@ class HexColorWordle {
 
         // Process all guesses from this game
         stats.totalGuessesAllGames += this.guessHistory.length;
-        
+
+        // Hard mode games count normally above and are also tallied here.
+        if (this.hardMode) {
+            stats.hardModeGamesPlayed = (stats.hardModeGamesPlayed || 0) + 1;
+            stats.hardModeGamesWon = (stats.hardModeGamesWon || 0) + (won ? 1 : 0);
+        }
+
+        // Speedrun wins keep their clock time next to the attempts.
+        // Close-enough wins also keep how far off the winning guess was.
+        const closeEnoughWin = won ? this.getCloseEnoughWin() : null;
+        if (closeEnoughWin) {
+            stats.closeEnoughWins = (stats.closeEnoughWins || 0) + 1;
+            stats.closeEnoughTotalDeltaE = (stats.closeEnoughTotalDeltaE || 0) + closeEnoughWin.colorError;
+        }
+
+        // Zen games have no cap, so their solves get their own average.
+        if (this.isEndless() && won) {
+            stats.zenGuessesToSolve = (stats.zenGuessesToSolve || 0) + this.guessHistory.length;
+        }
+
+        if (this.speedrunMode && this.speedrunStarted && won) {
+            stats.speedrunWins = (stats.speedrunWins || 0) + 1;
+            stats.speedrunTotalMs = (stats.speedrunTotalMs || 0) + Math.round(this.speedrunElapsedMs);
+        }
+
+        // Color error is CIEDE2000 and kept apart from the RGB totals
+        // (totalColorErrorAllGuesses / totalErrorReduction) that older
+        // versions saved, since the two scales can't be mixed.
+        stats.deltaEGames = (stats.deltaEGames || 0) + 1;
+        stats.deltaEGuesses = (stats.deltaEGuesses || 0) + this.guessHistory.length;
+
         // Add up color error for every guess
         this.guessHistory.forEach(guess => {
-            stats.totalColorErrorAllGuesses += guess.colorError;
+            stats.totalDeltaE = (stats.totalDeltaE || 0) + guess.colorError;
         });
 
         // Calculate error reduction (improvement) between consecutive guesses
+        stats.totalDeltaEReduction = stats.totalDeltaEReduction || 0;
         for (let i = 1; i < this.guessHistory.length; i++) {
             const previousError = this.guessHistory[i - 1].colorError;
             const currentError = this.guessHistory[i].colorError;
             const reduction = previousError - currentError; // Positive = improvement, negative = getting worse
-            stats.totalErrorReduction += reduction; // Allow negative values
+            stats.totalDeltaEReduction += reduction; // Allow negative values
         }
 
         localStorage.setItem(storageKey, JSON.stringify(stats));
     }
 
-    calculateColorError(guess, target) {
-        // Simple RGB distance calculation
-        const r1 = parseInt(guess.substr(0, 2), 16);
-        const g1 = parseInt(guess.substr(2, 2), 16);
-        const b1 = parseInt(guess.substr(4, 2), 16);
-        
-        const r2 = parseInt(target.substr(0, 2), 16);
-        const g2 = parseInt(target.substr(2, 2), 16);
-        const b2 = parseInt(target.substr(4, 2), 16);
-        
-        return Math.sqrt(
-            Math.pow(r2 - r1, 2) +
-            Math.pow(g2 - g1, 2) +
-            Math.pow(b2 - b1, 2)
-        );
-    }
-
     updateColorPicker() {
         // Initialize with default color
         this.updateFromHex('FF5733');
@@ -1665,10 +2736,20 @@ class HexColorWordle {
         if (this.mode === 'daily' && this.dailyAlreadyCompleted) {
             return; // Already completed today, can't play again
         }
+        // Archive games are one attempt per date, same as the daily they replay.
+        // Challenges and custom puzzles are a single color too.
+        if (this.mode === 'archive' || this.mode === 'challenge' || this.mode === 'custom') {
+            return;
+        }
         
-        // In unlimited mode, pick a new color
+        // In unlimited mode, pick a new color (and any new rule set)
         if (this.mode === 'unlimited') {
-            this.targetColor = this.generateRandomColor();
+            const previousHexLength = this.rules.hexLength;
+            this.rules = this.getRulesForMode();
+            this.channelFormat = this.getChannelFormatForMode();
+            this.maxAttempts = this.rules.maxAttempts;
+            this.targetColor = generateRandomColor(this.rules);
+            if (this.rules.hexLength !== previousHexLength) this.snapPicker();
         }
         this.currentAttempt = 1;
         this.gameOver = false;
@@ -1677,39 +2758,329 @@ class HexColorWordle {
         this.isAnimating = false; // Reset animation flag
         this.guessHistory = []; // Reset guess history for new game
         this.postGameActionRow = null;
+        this.hardMode = !!getGameSettings().hardMode;
+        this.memoryMode = !!getGameSettings().memoryMode;
+        this.memoryRevealMs = getMemoryRevealMs(getGameSettings().memoryRevealMs);
+        this.memoryRevealUsed = false;
+        this.closeEnoughDeltaE = this.getCloseEnoughForMode();
+        this.resetSpeedrunClock();
                 
         this.colorDisplay.classList.add('hidden');
         this.colorDisplay.classList.remove('disabled');
-        this.colorDisplay.textContent = 'Click to reveal color!';
+        this.colorDisplay.textContent = this.getRevealPrompt();
         if (this.currentAttemptSpan) {
             this.currentAttemptSpan.textContent = '1';
         }
-        this.guessesContainer.innerHTML = '';
-        this.colorDisplay.classList.remove('game-ended');
-                
-        // Rebuild grid
+        this.guessesContainer.innerHTML = '';
+        this.colorDisplay.classList.remove('game-ended');
+                
+        // Rebuild grid
+        this.buildGrid();
+        this.updateRowLabels();
+        this.updatePasteAction();
+        this.setupOnScreenKeyboard();
+                
+        // Reset timer bar to full for new game
+        this.timerFill.style.transition = '';
+        this.timerFill.style.transform = 'scaleX(1)';
+                
+        // Initialize timer text for new game
+    }
+
+    getRulesForMode() {
+        return this.mode === 'unlimited' ? getRuleSet(getGameSettings().unlimitedRuleSet) : RULE_SETS.classic;
+    }
+
+    // Switch an Unlimited game to another rule set, only before its first guess.
+    setRuleSet(id) {
+        if (this.mode !== 'unlimited' || this.gameOver || this.guessHistory.length > 0) return false;
+        const previousHexLength = this.rules.hexLength;
+        this.rules = getRuleSet(id);
+        this.maxAttempts = this.rules.maxAttempts;
+        // A target of the wrong length can't be guessed; nothing was guessed yet.
+        if (this.rules.hexLength !== previousHexLength) {
+            this.targetColor = generateRandomColor(this.rules);
+            this.snapPicker();
+        }
+        this.buildGrid();
+        this.updatePasteAction();
+        return true;
+    }
+
+    getChannelFormatForMode() {
+        if (this.mode !== 'unlimited') return null;
+        const format = getInputFormat(getGameSettings().inputFormat);
+        return format.channels.length ? format : null;
+    }
+
+    getCloseEnoughForMode() {
+        if (this.mode !== 'unlimited') return 0;
+        return getCloseEnoughDeltaE(getGameSettings().closeEnoughDeltaE);
+    }
+
+    setCloseEnough(deltaE) {
+        if (this.mode !== 'unlimited' || !this.canChangeGameMode()) return false;
+        this.closeEnoughDeltaE = getCloseEnoughDeltaE(deltaE);
+        return true;
+    }
+
+    // The guess that won a close-enough game, or null for exact wins/losses.
+    getCloseEnoughWin() {
+        return getCloseEnoughWin(this.game);
+    }
+
+    // Switch an Unlimited grid between hex digits and channels, only before
+    // its first guess. Returns false when the switch has to wait.
+    setChannelFormat(format) {
+        if (format === this.channelFormat) return true;
+        if (this.mode !== 'unlimited' || this.gameOver || this.guessHistory.length > 0) return false;
+        this.channelFormat = format;
+        this.buildGrid();
+        this.updatePasteAction();
+        return true;
+    }
+
+    // Stats are kept per mode, per rule set for non-Classic Unlimited, and
+    // apart for memory mode games.
+    getStatsBucket() {
+        const bucket = this.mode === 'unlimited' && this.rules.id !== 'classic'
+            ? `unlimited_${this.rules.id}`
+            : this.mode;
+        return this.memoryMode ? `${bucket}_memory` : bucket;
+    }
+
+    // Hard mode and memory mode can only be switched before the first guess
+    // of a game.
+    canChangeGameMode() {
+        return this.mode !== 'create' && !this.gameOver && this.guessHistory.length === 0;
+    }
+
+    setHardMode(enabled) {
+        if (!this.canChangeGameMode()) return false;
+        this.hardMode = !!enabled;
+        this.updateSolver();
+        if (this.hasSavedState() && this.isPuzzleReady()) {
+            this.saveDailyGameState();
+        }
+        return true;
+    }
+
+    // Turning memory mode on also needs the color to be unseen so far.
+    setMemoryMode(enabled, revealMs = this.memoryRevealMs) {
+        if (!this.canChangeGameMode()) return false;
+        if (enabled && this.hasRevealedThisAttempt) return false;
+        this.memoryMode = !!enabled;
+        this.memoryRevealMs = getMemoryRevealMs(revealMs);
+        if (!this.colorVisible && !this.hasRevealedThisAttempt) {
+            this.colorDisplay.textContent = this.getRevealPrompt();
+        }
+        if (this.hasSavedState() && this.isPuzzleReady()) {
+            this.saveDailyGameState();
+        }
+        return true;
+    }
+
+    // Memory mode allows one reveal, and only before the first guess.
+    isMemoryRevealSpent() {
+        return this.memoryMode && (this.memoryRevealUsed || this.guessHistory.length > 0);
+    }
+
+    getRevealPrompt() {
+        return this.memoryMode ? 'Click to reveal color once!' : 'Click to reveal color!';
+    }
+
+    showMemoryRevealLocked() {
+        this.colorDisplay.classList.add('hidden', 'disabled');
+        this.colorDisplay.textContent = 'No more reveals this game!';
+        this.colorDisplay.style.background = '';
+        this.timerFill.style.transition = '';
+        this.timerFill.style.transform = 'scaleX(0)';
+    }
+
+    // Speedrun can be switched until the clock has started.
+    setSpeedrunMode(enabled) {
+        if (!this.canChangeGameMode() || this.speedrunStarted) return false;
+        this.speedrunMode = !!enabled;
+        this.renderSpeedrunClock();
+        if (this.hasSavedState() && this.isPuzzleReady()) {
+            this.saveDailyGameState();
+        }
+        return true;
+    }
+
+    startSpeedrunClock() {
+        if (!this.speedrunMode || this.gameOver || this.speedrunInterval) return;
+        if (!this.isPuzzleReady()) return;
+        this.speedrunStarted = true;
+        this.speedrunLastTick = performance.now();
+        this.speedrunInterval = setInterval(() => this.tickSpeedrunClock(), 100);
+        this.renderSpeedrunClock();
+    }
+
+    // Adds the time since the last tick, unless a modal is covering the game.
+    tickSpeedrunClock() {
+        const now = performance.now();
+        if (!document.body.classList.contains('modal-open')) {
+            this.speedrunElapsedMs += now - this.speedrunLastTick;
+        }
+        this.speedrunLastTick = now;
+        this.renderSpeedrunClock();
+    }
+
+    stopSpeedrunClock() {
+        if (!this.speedrunInterval) return;
+        this.tickSpeedrunClock();
+        clearInterval(this.speedrunInterval);
+        this.speedrunInterval = null;
+    }
+
+    resetSpeedrunClock() {
+        this.stopSpeedrunClock();
+        this.speedrunMode = !!getGameSettings().speedrunMode;
+        this.speedrunElapsedMs = 0;
+        this.speedrunStarted = false;
+        this.speedrunRank = 0;
+        this.renderSpeedrunClock();
+    }
+
+    renderSpeedrunClock() {
+        if (!this.speedrunClockEl) return;
+        this.speedrunClockEl.classList.toggle('hidden', !this.speedrunMode);
+        this.speedrunClockEl.classList.toggle('running', !!this.speedrunInterval);
+        this.speedrunClockEl.textContent = formatSpeedrunTime(this.speedrunElapsedMs);
+    }
+
+    // Challenge links replay a game under Classic rules with hex digits,
+    // the usual reveals and exact wins only.
+    canChallengeFriend() {
+        return this.mode === 'unlimited' && this.rules.id === 'classic' && !this.channelFormat && !this.memoryMode &&
+            !this.closeEnoughDeltaE;
+    }
+
+    // Called by the boot path once /api/challenge resolves the link's token.
+    setChallenge(challenge, token) {
+        if (this.mode !== 'challenge' || this.targetColor) return;
+        this.targetColor = challenge.target;
+        this.challenge = {
+            attempts: challenge.attempts,
+            won: challenge.won,
+            finalError: challenge.finalError,
+            token
+        };
+    }
+
+    isGameWon() {
+        return isGameWon(this.game);
+    }
+
+    // Per-guess breakdown for the review panel: RGB and HSL offsets from the
+    // target (hue the short way round, null when either color is gray), ΔE,
+    // and how much closer each guess got than the one before (negative when
+    // it drifted away).
+    getGuessReview() {
+        const targetRgb = hexToRgb(expandHex(this.targetColor));
+        const targetHsl = rgbToHsl(targetRgb);
+        const entries = this.guessHistory.filter((entry) => entry && typeof entry.hex === 'string');
+        return entries.map((entry, i) => {
+            const rgb = hexToRgb(expandHex(entry.hex));
+            const hsl = rgbToHsl(rgb);
+            const colorError = Number(entry.colorError) || 0;
+            return {
+                hex: entry.hex,
+                colorError,
+                improvement: i > 0 ? (Number(entries[i - 1].colorError) || 0) - colorError : null,
+                rgbDelta: rgb.map((value, c) => value - targetRgb[c]),
+                hslDelta: [
+                    hsl[1] && targetHsl[1] ? Math.round(((hsl[0] - targetHsl[0] + 540) % 360) - 180) : null,
+                    Math.round(hsl[1] - targetHsl[1]),
+                    Math.round(hsl[2] - targetHsl[2])
+                ]
+            };
+        });
+    }
+
+    // What a friend needs to replay this game: the target plus how it went.
+    getChallengeResult() {
+        const lastGuess = this.guessHistory[this.guessHistory.length - 1];
+        return {
+            target: this.targetColor,
+            attempts: this.guessHistory.length,
+            won: this.isGameWon(),
+            finalError: lastGuess ? lastGuess.colorError : 0
+        };
+    }
+
+    // 'won' | 'lost' | 'tie' from the receiver's side. Fewer attempts wins;
+    // if nobody solved it, the closer final guess does.
+    getChallengeOutcome() {
+        const mine = this.getChallengeResult();
+        const theirs = this.challenge;
+        if (mine.won !== theirs.won) return mine.won ? 'won' : 'lost';
+        if (mine.won) {
+            if (mine.attempts === theirs.attempts) return 'tie';
+            return mine.attempts < theirs.attempts ? 'won' : 'lost';
+        }
+        const lastGuess = this.guessHistory[this.guessHistory.length - 1];
+        const myFinalError = theirs.errorMetric === 'rgb' && lastGuess
+            ? getRgbDistance(lastGuess.hex, this.targetColor)
+            : mine.finalError;
+        const myError = Math.round(myFinalError * 10) / 10;
+        if (myError === theirs.finalError) return 'tie';
+        return myError < theirs.finalError ? 'won' : 'lost';
+    }
+
+    // Called by the boot path once /api/custom resolves the link's token. The
+    // grid is rebuilt since the puzzle sets its own attempt count.
+    setCustomPuzzle(puzzle, token) {
+        if (this.mode !== 'custom' || this.targetColor) return;
+        this.targetColor = puzzle.target;
+        this.maxAttempts = puzzle.maxAttempts;
+        this.customToken = token;
+        this.puzzleSpecial = puzzle.caption ? { title: null, caption: puzzle.caption } : null;
         this.buildGrid();
-        this.updateRowLabels();
         this.updatePasteAction();
-        this.setupOnScreenKeyboard();
-                
-        // Reset timer bar to full for new game
-        this.timerFill.style.transition = '';
-        this.timerFill.style.transform = 'scaleX(1)';
-                
-        // Initialize timer text for new game
     }
 
     // Called by the boot path once the daily-color fetch resolves.
     // No-op if a target is already set (e.g. restored from localStorage).
-    setDailyTarget(hex, date) {
-        if (this.mode !== 'daily') return;
-        if (this.targetColor) return;
-        this.targetColor = hex;
+    setDailyTarget(hex, date, number, special = null) {
+        if (!this.hasSavedState()) return;
+        if (this.isPuzzleReady()) return;
+        if (this.scoring === 'local') {
+            this.targetColor = hex;
+        }
         if (date) this.dailyPuzzleDate = date;
+        this.puzzleNumber = number || getPuzzleNumber(this.dailyPuzzleDate);
+        this.puzzleSpecial = special;
+        this.puzzleReady = true;
+    }
+
+    // Locally scored games are playable once the target is known; the
+    // server-scored daily only needs its puzzle date.
+    isPuzzleReady() {
+        return this.scoring === 'server' ? this.puzzleReady : !!this.targetColor;
+    }
+
+    // Daily and archive games persist their progress; unlimited games don't.
+    hasSavedState() {
+        return this.mode === 'daily' || this.mode === 'archive';
+    }
+
+    // Each archived date gets its own save slot so replaying one past daily
+    // never clobbers another (or today's) in-progress game.
+    getSavedStateKey() {
+        return this.mode === 'archive'
+            ? getArchiveGameStateKey(this.dailyPuzzleDate)
+            : 'dailyGameState';
     }
 
     checkDailyCompletion() {
+        if (this.mode === 'archive') {
+            const archived = readArchiveGameState(this.dailyPuzzleDate);
+            if (!archived || !archived.gameOver) return { completed: false };
+            return { completed: true, won: archived.won || false };
+        }
+
         const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
         const saved = localStorage.getItem('dailyCompletion');
         
@@ -1735,21 +3106,35 @@ class HexColorWordle {
     }
     
     saveDailyGameState() {
-        if (this.mode !== 'daily') return;
+        if (!this.hasSavedState()) return;
         
         const puzzleDate = this.dailyPuzzleDate || new Date().toISOString().split('T')[0];
         const gameState = {
             date: puzzleDate,
             puzzleDate: puzzleDate,
+            puzzleNumber: this.puzzleNumber || getPuzzleNumber(puzzleDate),
+            puzzleSpecial: this.puzzleSpecial,
+            hardMode: this.hardMode,
+            memoryMode: this.memoryMode,
+            memoryRevealMs: this.memoryRevealMs,
+            memoryRevealUsed: this.memoryRevealUsed,
+            speedrunMode: this.speedrunMode,
+            speedrunStarted: this.speedrunStarted,
+            speedrunElapsedMs: Math.round(this.speedrunElapsedMs),
             targetColor: this.targetColor,
             currentAttempt: this.currentAttempt,
             currentRow: this.currentRow,
             currentCol: this.currentCol,
             gameOver: this.gameOver,
+            won: this.gameOver && this.guessHistory.some((entry) => entry && entry.hex === this.targetColor),
             colorVisible: this.colorVisible,
             hasRevealedThisAttempt: this.isAnimating ? false : this.hasRevealedThisAttempt,
             guessHistory: this.guessHistory,
             postGameActionRow: this.postGameActionRow,
+            token: this.dailyToken,
+            receipt: this.dailyReceipt,
+            verificationCode: this.verificationCode,
+            resultReported: this.resultReported,
             gridState: [] // Store the visual grid state
         };
         
@@ -1757,44 +3142,80 @@ class HexColorWordle {
         for (let row = 0; row < this.maxAttempts; row++) {
             const rowState = [];
             const guessEntry = this.guessHistory[row];
-            const isSubmittedRow = !!(guessEntry && guessEntry.hex && guessEntry.hex.length === 6);
-            const rowStatuses = isSubmittedRow ? this.getStatusesForGuess(guessEntry.hex) : null;
-            for (let col = 0; col < 6; col++) {
+            const isSubmittedRow = !!(guessEntry && guessEntry.hex && guessEntry.hex.length === this.gridCols);
+            const rowStatuses = isSubmittedRow ? this.getGuessStatuses(guessEntry) : null;
+            const rowDirections = isSubmittedRow ? this.getGuessDirections(guessEntry) : [];
+            for (let col = 0; col < this.gridCols; col++) {
                 const cell = this.gridCellRefs[row]?.[col];
                 if (cell) {
-                    const savedClass = rowStatuses ? `grid-cell ${rowStatuses[col]}` : 'grid-cell';
+                    const savedClass = rowStatuses && rowStatuses[col] ? `grid-cell ${rowStatuses[col]}` : 'grid-cell';
                     rowState.push({
                         text: isSubmittedRow ? cell.textContent : '',
-                        class: savedClass
+                        class: savedClass,
+                        hint: rowDirections[col] || null
                     });
                 }
             }
             gameState.gridState.push(rowState);
         }
         
-        localStorage.setItem('dailyGameState', JSON.stringify(gameState));
+        localStorage.setItem(this.getSavedStateKey(), JSON.stringify(gameState));
     }
     
     loadDailyGameState() {
-        if (this.mode !== 'daily') return;
+        if (!this.hasSavedState()) return;
         
-        const saved = localStorage.getItem('dailyGameState');
+        const stateKey = this.getSavedStateKey();
+        const saved = localStorage.getItem(stateKey);
         if (!saved) return;
         
         try {
             const gameState = JSON.parse(saved);
-            const today = new Date().toISOString().split('T')[0];
+            const expectedDate = this.mode === 'archive'
+                ? this.dailyPuzzleDate
+                : new Date().toISOString().split('T')[0];
             const savedPuzzleDate = gameState.puzzleDate || gameState.date;
             
-            // Only restore if it's today's game
-            if (savedPuzzleDate !== today) {
-                localStorage.removeItem('dailyGameState');
+            // Only restore if it's the game for this date (today, or the archived date)
+            if (savedPuzzleDate !== expectedDate) {
+                localStorage.removeItem(stateKey);
                 return;
             }
             
             // Restore game state
             this.dailyPuzzleDate = savedPuzzleDate;
-            this.targetColor = gameState.targetColor;
+            this.puzzleNumber = Number.isInteger(gameState.puzzleNumber)
+                ? gameState.puzzleNumber
+                : getPuzzleNumber(savedPuzzleDate);
+            this.puzzleSpecial = readPuzzleSpecial(gameState.puzzleSpecial);
+            // Saves from before hard mode existed were normal games.
+            if (typeof gameState.hardMode === 'boolean') {
+                this.hardMode = gameState.hardMode;
+            } else if (Array.isArray(gameState.guessHistory) && gameState.guessHistory.length > 0) {
+                this.hardMode = false;
+            }
+            // Same for memory mode. A started game keeps its mode even if
+            // the setting changed since.
+            const hasStarted = (Array.isArray(gameState.guessHistory) && gameState.guessHistory.length > 0) ||
+                !!gameState.hasRevealedThisAttempt;
+            if (typeof gameState.memoryMode === 'boolean') {
+                this.memoryMode = gameState.memoryMode;
+                this.memoryRevealMs = getMemoryRevealMs(gameState.memoryRevealMs);
+                this.memoryRevealUsed = !!gameState.memoryRevealUsed;
+            } else if (hasStarted) {
+                this.memoryMode = false;
+            }
+            this.colorDisplay.textContent = this.getRevealPrompt();
+            if (typeof gameState.speedrunMode === 'boolean') {
+                this.speedrunMode = gameState.speedrunMode;
+                this.speedrunStarted = !!gameState.speedrunStarted;
+                const savedElapsed = Number(gameState.speedrunElapsedMs);
+                this.speedrunElapsedMs = Number.isFinite(savedElapsed) && savedElapsed > 0 ? savedElapsed : 0;
+            } else if (hasStarted) {
+                this.speedrunMode = false;
+            }
+            this.targetColor = gameState.targetColor || null;
+            this.puzzleReady = true;
             const rawAttempt = Number(gameState.currentAttempt);
             const safeAttempt = Number.isFinite(rawAttempt) ? Math.trunc(rawAttempt) : 1;
             this.currentAttempt = Math.max(1, Math.min(this.maxAttempts, safeAttempt));
@@ -1813,6 +3234,12 @@ class HexColorWordle {
             this.postGameActionRow = Number.isInteger(gameState.postGameActionRow)
                 ? Math.max(0, Math.min(this.gridRows - 1, gameState.postGameActionRow))
                 : null;
+            this.dailyToken = typeof gameState.token === 'string' ? gameState.token : null;
+            this.dailyReceipt = gameState.receipt || null;
+            this.verificationCode = typeof gameState.verificationCode === 'string'
+                ? gameState.verificationCode
+                : null;
+            this.resultReported = !!gameState.resultReported;
 
             // Defensive normalization: derive active position from submitted guesses.
             // This prevents stale saved attempt/cursor values from breaking end-game flow.
@@ -1841,6 +3268,9 @@ class HexColorWordle {
                                 .replace(/\b(reveal-jump|land-pop)\b/g, '')
                                 .trim();
                             cell.className = cleanClass;
+                            if (cellState.hint === 'up' || cellState.hint === 'down') {
+                                cell.dataset.hint = cellState.hint;
+                            }
                             if (cellState.text) hasContent = true;
                         }
                     }
@@ -1857,8 +3287,10 @@ class HexColorWordle {
                 const guess = this.guessHistory[i];
                 if (guess && guess.hex) {
                     this.colorizeRowLabel(i, guess.hex);
+                    this.showRowDelta(i, guess.colorError);
                 }
             }
+            this.renderChannelSummary();
 
             // Recompute caret column from actual active-row content so stale
             // saved cursor positions don't survive when unsubmitted text is not persisted.
@@ -1900,6 +3332,12 @@ class HexColorWordle {
                 this.timerFill.style.transform = 'scaleX(0)';
                 // Show share button on the submitted/final row for completed games
                 this.updatePasteAction();
+                // Retry a global-stats report that didn't make it last time
+                this.reportDailyResult();
+            } else if (this.isMemoryRevealSpent()) {
+                // Memory mode's one reveal is gone, even if it was cut short by leaving
+                this.colorVisible = false;
+                this.showMemoryRevealLocked();
             } else if (this.colorVisible) {
                 // Color was being shown when user left - hide it but keep revealed state
                 this.colorDisplay.classList.add('hidden');
@@ -1921,7 +3359,7 @@ class HexColorWordle {
             }
         } catch (e) {
             console.error('Failed to load daily game state:', e);
-            localStorage.removeItem('dailyGameState');
+            localStorage.removeItem(stateKey);
         }
     }
 }
@@ -1975,10 +3413,59 @@ window.addEventListener('DOMContentLoaded', async () => {
 
     // --- Decide mode (path vs local file query) ---
     const isFile = location.protocol === 'file:';
+    const searchParams = new URLSearchParams(location.search);
     const pathIsUnlimited  = /\/unlimited\/?$/.test(location.pathname);
-    const queryIsUnlimited = new URLSearchParams(location.search).get('mode') === 'unlimited';
-    const MODE = isFile ? (queryIsUnlimited ? 'unlimited' : 'daily')
-                        : (pathIsUnlimited ? 'unlimited' : 'daily');
+    const pathIsArchive    = /\/archive\/?$/.test(location.pathname);
+    const pathChallenge    = location.pathname.match(/^\/c\/([A-Za-z0-9_-]+)\/?$/);
+    const pathCustom       = location.pathname.match(/^\/play\/([A-Za-z0-9_-]+)\/?$/);
+    const pathIsCreate     = /\/create\/?$/.test(location.pathname);
+    const queryMode        = searchParams.get('mode');
+    const queryIsUnlimited = queryMode === 'unlimited';
+    const queryIsArchive   = queryMode === 'archive';
+    const queryIsChallenge = queryMode === 'challenge' && !!searchParams.get('c');
+    const queryIsCustom    = queryMode === 'custom' && !!searchParams.get('p');
+    const queryIsCreate    = queryMode === 'create';
+    const MODE = isFile
+        ? (queryIsUnlimited ? 'unlimited'
+            : queryIsArchive ? 'archive'
+            : queryIsChallenge ? 'challenge'
+            : queryIsCustom ? 'custom'
+            : queryIsCreate ? 'create'
+            : 'daily')
+        : (pathIsUnlimited ? 'unlimited'
+            : pathIsArchive ? 'archive'
+            : pathChallenge ? 'challenge'
+            : pathCustom ? 'custom'
+            : pathIsCreate ? 'create'
+            : 'daily');
+    const challengeToken = MODE === 'challenge'
+        ? (isFile ? searchParams.get('c') : pathChallenge[1])
+        : null;
+    const customToken = MODE === 'custom'
+        ? (isFile ? searchParams.get('p') : pathCustom[1])
+        : null;
+
+    // --- Archive date (past dailies only; today lives on the Daily page) ---
+    const todayUtcDate = new Date().toISOString().split('T')[0];
+    const yesterdayUtcDate = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const requestedArchiveDate = searchParams.get('date');
+    const hasValidArchiveDate =
+        isValidPuzzleDate(requestedArchiveDate) &&
+        requestedArchiveDate < todayUtcDate &&
+        requestedArchiveDate >= FIRST_PUZZLE_DATE;
+    const archiveDate = hasValidArchiveDate ? requestedArchiveDate : yesterdayUtcDate;
+
+    const getArchiveUrl = (date) => (isFile
+        ? `index.html?mode=archive&date=${date}`
+        : `/archive?date=${date}`);
+    const getChallengeUrl = (token) => (isFile
+        ? `${location.href.split(/[?#]/)[0]}?mode=challenge&c=${token}`
+        : `${location.origin}/c/${token}`);
+    const getCustomUrl = (token) => (isFile
+        ? `${location.href.split(/[?#]/)[0]}?mode=custom&p=${token}`
+        : `${location.origin}/play/${token}`);
+    const unlimitedUrl = isFile ? 'index.html?mode=unlimited' : '/unlimited';
+    const createUrl = isFile ? 'index.html?mode=create' : '/create';
 
     // --- Boot mode ---
     // UI renders synchronously regardless of mode. In daily mode, the target
@@ -1987,10 +3474,24 @@ window.addEventListener('DOMContentLoaded', async () => {
     let gameInstance;
     if (MODE === 'unlimited') {
         gameInstance = new HexColorWordle({ mode: 'unlimited' });
+    } else if (MODE === 'challenge') {
+        // The target is only known once the server opens the token.
+        gameInstance = new HexColorWordle({ mode: 'challenge', targetColor: null });
+        document.body.classList.add('daily-blank-active');
+        attemptChallengeFetch();
+    } else if (MODE === 'custom') {
+        gameInstance = new HexColorWordle({ mode: 'custom', targetColor: null });
+        document.body.classList.add('daily-blank-active');
+        attemptCustomFetch();
+    } else if (MODE === 'create') {
+        gameInstance = new HexColorWordle({ mode: 'create' });
+        setupCreatePanel();
     } else {
-        gameInstance = new HexColorWordle({ mode: 'daily', targetColor: null });
-        if (!gameInstance.targetColor) {
-            // No saved state restored a target — hide the page until the
+        gameInstance = MODE === 'archive'
+            ? new HexColorWordle({ mode: 'archive', targetColor: null, dailyPuzzleDate: archiveDate })
+            : new HexColorWordle({ mode: 'daily', targetColor: null });
+        if (!gameInstance.isPuzzleReady()) {
+            // No saved state restored the puzzle — hide the page until the
             // first-of-day fetch resolves, so the user sees a clean theme-bg
             // splash instead of an unusable game shell.
             document.body.classList.add('daily-blank-active');
@@ -2013,7 +3514,14 @@ window.addEventListener('DOMContentLoaded', async () => {
         document.body.classList.remove('daily-blank-active');
         if (kind === 'error') {
             dailyLoadEl.classList.add('is-error');
-            if (dailyLoadMsg) dailyLoadMsg.textContent = "Couldn't load today's mystery color.";
+            if (dailyLoadMsg) {
+                const errorMessages = {
+                    archive: "Couldn't load that day's mystery color.",
+                    challenge: "Couldn't load this challenge.",
+                    custom: "Couldn't load this puzzle."
+                };
+                dailyLoadMsg.textContent = errorMessages[MODE] || "Couldn't load today's mystery color.";
+            }
             document.body.classList.add('daily-load-active');
         } else {
             dailyLoadEl.classList.add('hidden');
@@ -2023,39 +3531,114 @@ window.addEventListener('DOMContentLoaded', async () => {
 
     async function attemptDailyFetch() {
         try {
-            const dailyPuzzle = await fetchDailyPuzzle({ timeoutMs: 5000 });
-            gameInstance.setDailyTarget(dailyPuzzle.hex, dailyPuzzle.date);
+            const dailyPuzzle = await fetchDailyPuzzle({
+                timeoutMs: 5000,
+                archiveDate: MODE === 'archive' ? archiveDate : null
+            });
+            gameInstance.setDailyTarget(dailyPuzzle.hex, dailyPuzzle.date, dailyPuzzle.number, dailyPuzzle.special);
+            setDailyLoadState(null);
+        } catch {
+            setDailyLoadState('error');
+        }
+    }
+
+    async function attemptChallengeFetch() {
+        try {
+            const challenge = await fetchChallenge({ token: challengeToken });
+            gameInstance.setChallenge(challenge, challengeToken);
+            setDailyLoadState(null);
+        } catch {
+            setDailyLoadState('error');
+        }
+    }
+
+    async function attemptCustomFetch() {
+        try {
+            const puzzle = await fetchCustomPuzzle({ token: customToken });
+            gameInstance.setCustomPuzzle(puzzle, customToken);
             setDailyLoadState(null);
         } catch {
             setDailyLoadState('error');
         }
     }
 
+    // --- Create page: the picker chooses the color, the panel does the rest ---
+    function setupCreatePanel() {
+        document.body.classList.add('create-mode');
+        const attemptsEl = document.getElementById('createAttempts');
+        const captionEl = document.getElementById('createCaption');
+        const createBtn = document.getElementById('createButton');
+        const resultEl = document.getElementById('createResult');
+        const linkEl = document.getElementById('createLink');
+        if (!attemptsEl || !captionEl || !createBtn || !resultEl || !linkEl) return;
+
+        createBtn.addEventListener('click', async () => {
+            const target = (gameInstance.hexOutputField?.value || '').replace(/^#/, '').toUpperCase();
+            if (!/^[0-9A-F]{6}$/.test(target)) {
+                window.showToast('Pick a full 6-digit color first');
+                return;
+            }
+
+            createBtn.disabled = true;
+            try {
+                const token = await postCustomPuzzle({
+                    target,
+                    maxAttempts: Number(attemptsEl.value),
+                    caption: captionEl.value.trim()
+                });
+                linkEl.value = getCustomUrl(token);
+                resultEl.classList.remove('hidden');
+                await copyTextToClipboard(linkEl.value);
+                window.showToast('Puzzle link copied!');
+            } catch {
+                window.showToast("Couldn't create puzzle link");
+            } finally {
+                createBtn.disabled = false;
+            }
+        });
+
+        linkEl.addEventListener('focus', () => linkEl.select());
+    }
+
     if (dailyRetryBtn) {
         dailyRetryBtn.addEventListener('click', () => location.reload());
     }
 
     // --- Mode buttons: navigate correctly in both environments ---
     const modeBtns = document.querySelectorAll('.mode-container .mode-btn');
-    const [dailyBtn, unlimitedBtn] = [modeBtns[0], modeBtns[1]];
+    const [dailyBtn, unlimitedBtn, archiveBtn] = [modeBtns[0], modeBtns[1], modeBtns[2]];
     if (dailyBtn && unlimitedBtn) {
         const toDaily = isFile ? 'index.html' : '/';
-        const toUnlim = isFile ? 'unlimited/index.html' : '/unlimited';
+        const toUnlim = unlimitedUrl;
+        const toArchive = isFile ? 'index.html?mode=archive' : '/archive';
 
         dailyBtn.addEventListener('click', (e) => { e.preventDefault(); location.href = toDaily; });
         unlimitedBtn.addEventListener('click', (e) => { e.preventDefault(); location.href = toUnlim; });
-
-        dailyBtn.classList.toggle('active', MODE === 'daily');
-        unlimitedBtn.classList.toggle('active', MODE === 'unlimited');
-
-        if (MODE === 'daily') {
-            dailyBtn.setAttribute('aria-current', 'page');
-            unlimitedBtn.removeAttribute('aria-current');
-        } 
-        else {
-            unlimitedBtn.setAttribute('aria-current', 'page');
-            dailyBtn.removeAttribute('aria-current');
+        if (archiveBtn) {
+            // Already on the archive page: reopen the calendar instead of reloading.
+            archiveBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (MODE === 'archive') {
+                    markAutoPopupBypassed('archivePickerAuto');
+                    markAutoPopupBypassed('statsOnLoadAuto');
+                    markAutoPopupBypassed('statsEndgameAuto');
+                    showArchiveModal();
+                    return;
+                }
+                location.href = toArchive;
+            });
         }
+
+        const buttonModes = [[dailyBtn, 'daily'], [unlimitedBtn, 'unlimited'], [archiveBtn, 'archive']];
+        buttonModes.forEach(([btn, btnMode]) => {
+            if (!btn) return;
+            btn.classList.toggle('active', MODE === btnMode);
+            if (MODE === btnMode) {
+                btn.setAttribute('aria-current', 'page');
+            } else {
+                btn.removeAttribute('aria-current');
+            }
+        });
     }
 
     // --- Dark mode toggle ---
@@ -2267,12 +3850,17 @@ window.addEventListener('DOMContentLoaded', async () => {
 
     function openModal(content) {
         if (!modal || !modalBody) return;
+        // Swapping one modal for another keeps the original scroll lock;
+        // while open, the fixed body reports scrollY as 0.
+        const wasOpen = document.body.classList.contains('modal-open');
         modalBody.innerHTML = content;
         modal.style.display = 'flex';
         modalOpenedAt = Date.now();
         
         // Block background interactions
-        lockedScrollY = window.scrollY || window.pageYOffset || 0;
+        if (!wasOpen) {
+            lockedScrollY = window.scrollY || window.pageYOffset || 0;
+        }
         document.documentElement.classList.add('modal-open');
         document.body.classList.add('modal-open');
         document.body.style.top = `-${lockedScrollY}px`;
@@ -2435,7 +4023,35 @@ window.addEventListener('DOMContentLoaded', async () => {
         lastTapY = touch.clientY;
     }, { passive: false, capture: true });
 
+    // Feedback legend for the current rule set, e.g. Classic's "off by 1",
+    // "off by 2 or 3", "off by more than 3". Bands a rule set doesn't use
+    // (Expert has no yellow or orange) are left out.
+    function createFeedbackLegend(rules) {
+        const describeRange = (from, to) => {
+            if (from === to) return `off by ${from}`;
+            return to === from + 1 ? `off by ${from} or ${to}` : `off by ${from} to ${to}`;
+        };
+        const items = [['correct', 'Digit is correct']];
+        if (rules.closeDistance > 0) {
+            items.push(['close', `Digit is ${describeRange(1, rules.closeDistance)}`]);
+        }
+        if (rules.nearDistance > rules.closeDistance) {
+            items.push(['near', `Digit is ${describeRange(rules.closeDistance + 1, rules.nearDistance)}`]);
+        }
+        const farFrom = Math.max(rules.closeDistance, rules.nearDistance);
+        items.push(['far', farFrom > 0 ? `Digit is off by more than ${farFrom}` : 'Digit is wrong']);
+        return items
+            .map(([kind, text]) => `<li class="modal-list-item"><span class="color-legend-swatch color-legend-swatch--${kind}"></span> = ${text}</li>`)
+            .join('');
+    }
+
     function openHelpModal() {
+        const rules = window.gameInstance?.rules || RULE_SETS.classic;
+        const rulesNote = rules.id !== 'classic' ? ` (${rules.label} rules)` : '';
+        const maxAttempts = window.gameInstance?.maxAttempts || rules.maxAttempts;
+        const attemptsText = Number.isFinite(maxAttempts)
+            ? `You get ${maxAttempts} attempts${rulesNote}`
+            : `You get unlimited attempts${rulesNote} and can give up at any time`;
         const helpContent = `
             <div class="title">
                 HOW TO PLAY
@@ -2447,20 +4063,23 @@ window.addEventListener('DOMContentLoaded', async () => {
             </div>
                 <div class="modal-body-text">
                     <p class="modal-paragraph modal-section-paragraph"><span class="modal-section-box modal-section-header">Goal</span></p>
-                    <p class="modal-paragraph">Match the hidden target color by entering its corresponding 6-digit hex code into the grid.</p>
+                    <p class="modal-paragraph">Match the hidden target color by entering its corresponding ${rules.hexLength}-digit hex code into the grid.</p>
                     <p class="modal-paragraph modal-section-paragraph"><span class="modal-section-box modal-section-header">Rules</span></p>
-                    <p class="modal-paragraph">You get 5 attempts, and can only reveal the target color for a short time once per attempt. Click the reveal square to briefly preview the target color, then use the color canvas and hue slider to help you guess. You can fine tune your guess by manually editing the text field under the color preview, and then copy/paste it into the grid. Submit once you're ready, and use the grid color feedback to improve your next guess.</p>
+                    <p class="modal-paragraph">${attemptsText}, and can only reveal the target color for a short time once per attempt. Click the reveal square to briefly preview the target color, then use the color canvas and hue slider to help you guess. You can fine tune your guess by manually editing the text field under the color preview, and then copy/paste it into the grid. Submit once you're ready, and use the grid color feedback to improve your next guess.</p>
                     <p class="modal-paragraph modal-section-paragraph"><span class="modal-section-box modal-section-header">Feedback</span></p>
                     <ul class="color-list">
-                        <li class="modal-list-item"><span class="color-legend-swatch color-legend-swatch--correct"></span> = Digit is correct</li>
-                        <li class="modal-list-item"><span class="color-legend-swatch color-legend-swatch--close"></span> = Digit is off by 1</li>
-                        <li class="modal-list-item"><span class="color-legend-swatch color-legend-swatch--near"></span> = Digit is off by 2 or 3</li>
-                        <li class="modal-list-item"><span class="color-legend-swatch color-legend-swatch--far"></span> = Digit is off by more than 3</li>
+                        ${createFeedbackLegend(rules)}
                     </ul>
+                    <p class="modal-paragraph">Turn on direction hints in the settings to also get an arrow on every digit that isn't green, pointing toward the target digit.</p>
                     <p class="modal-paragraph modal-section-paragraph"><span class="modal-section-box modal-section-header">Tips & Controls</span></p>
                     <p class="modal-paragraph">With each attempt, the amount of time the target color is shown per reveal increases. You can click on the "#" in any row with a submitted guess to quickly paste it back into the color picker. On mobile you have to tap the color canvas and hue slider first before they become interactable.</p>
+                    <p class="modal-paragraph">Click the "#" next to the text field to type colors as RGB, HSL or OKLCH numbers instead. In Unlimited mode the grid follows along: each column is one channel, colored by how far that number is from the target's.</p>
+                    <p class="modal-paragraph">Turn on hard mode in the settings to make every guess respect earlier feedback. Hard mode results are marked with a * when shared.</p>
+                    <p class="modal-paragraph">Memory mode (also in the settings) gives you a single reveal before your first guess, for 3, 5 or 10 seconds. After that the color stays hidden for the rest of the game. Memory games keep their own stats.</p>
+                    <p class="modal-paragraph">Speedrun (in the settings too) adds a clock above the grid. It starts on your first keystroke or reveal, pauses while a window like this one is open, and stops when the game ends. Your fastest wins per rule set are listed in the stats.</p>
+                    <p class="modal-paragraph">Shared daily results include a verification code. Paste a friend's result on the <a href="/verify" class="modal-link">verify page</a> to check that it wasn't edited.</p>
                     <p class="modal-paragraph modal-section-paragraph"><span class="modal-section-box modal-section-header">Modes</span></p>
-                    <p class="modal-paragraph">Daily mode gives every player the same global color each day. Unlimited mode gives you endless random colors for practice.</p>
+                    <p class="modal-paragraph">Daily mode gives every player the same global color each day. Unlimited mode gives you endless random colors for practice, with Beginner (short #RGB colors), Easy, Classic, Expert or Zen (no attempt limit, play until you find it or give up) rules to pick from in the settings. Archive mode lets you go back and play any past daily color you missed, without affecting your daily streak. After an Unlimited game, challenge a friend to the same color with a link, or pick a color yourself on the <a href="/create" class="modal-link">create page</a>.</p>
                     <p class="modal-footer-text">New to hex codes? Click <a href="https://www.w3schools.com/html/html_colors_hex.asp" target="_blank" class="modal-link">here</a>.</p>
                 </div>
         `;
@@ -2475,6 +4094,7 @@ window.addEventListener('DOMContentLoaded', async () => {
             markAutoPopupBypassed('onboardingHelpAuto');
             markAutoPopupBypassed('statsOnLoadAuto');
             markAutoPopupBypassed('statsEndgameAuto');
+            markAutoPopupBypassed('archivePickerAuto');
             openHelpModal();
         });
     }
@@ -2486,7 +4106,11 @@ window.addEventListener('DOMContentLoaded', async () => {
         localStorage.getItem('dailyGameState') ||
         localStorage.getItem('dailyCompletion') ||
         localStorage.getItem('gameStats_daily') ||
-        localStorage.getItem('gameStats_unlimited')
+        localStorage.getItem('gameStats_unlimited') ||
+        Object.keys(RULE_SETS).some((id) => localStorage.getItem(`gameStats_unlimited_${id}`)) ||
+        localStorage.getItem('gameStats_archive') ||
+        localStorage.getItem('gameStats_challenge') ||
+        localStorage.getItem('gameStats_custom')
     );
     if (!hasSeenOnboardingHelp && !hasGameplaySaveData) {
         const autoChannel = 'onboardingHelpAuto';
@@ -2519,26 +4143,217 @@ window.addEventListener('DOMContentLoaded', async () => {
         statsBtn.addEventListener('click', () => {
             markAutoPopupBypassed('statsOnLoadAuto');
             markAutoPopupBypassed('statsEndgameAuto');
+            markAutoPopupBypassed('archivePickerAuto');
             // Check if daily mode game is completed (either loaded as completed or just finished)
             const isDailyCompleted = window.gameInstance?.mode === 'daily' && window.gameInstance?.gameOver;
             showStatsModal(isDailyCompleted);
         });
     }
 
+    // Directional feedback arrows are drawn by CSS under this body class, so
+    // switching modes updates every row (including restored ones) at once.
+    function applyFeedbackSettings() {
+        const settings = getGameSettings();
+        document.body.classList.toggle('feedback-directional', settings.feedbackMode === 'directional');
+        window.gameInstance?.renderChannelSummary();
+        window.gameInstance?.updateSolver();
+        window.gameInstance?.updateKeyboardHints();
+    }
+    applyFeedbackSettings();
+
+    // Settings button
+    const settingsBtn = document.getElementById('settingsButton');
+    if (settingsBtn) {
+        settingsBtn.addEventListener('click', () => {
+            markAutoPopupBypassed('onboardingHelpAuto');
+            markAutoPopupBypassed('statsOnLoadAuto');
+            markAutoPopupBypassed('statsEndgameAuto');
+            markAutoPopupBypassed('archivePickerAuto');
+            showSettingsModal();
+        });
+    }
+
+    function createSettingsToggle(id, label, hint, enabled, disabled = false) {
+        return `
+            <div class="settings-row">
+                <div>
+                    <div class="settings-label">${label}</div>
+                    <p class="settings-hint">${hint}</p>
+                </div>
+                <button type="button" class="settings-toggle" id="${id}" aria-pressed="${enabled}"${disabled ? ' disabled' : ''}>${enabled ? 'ON' : 'OFF'}</button>
+            </div>
+        `;
+    }
+
+    // One button per option; the pressed one is the current value.
+    function createSettingsChoice(name, label, hint, options, selected) {
+        const buttons = options.map(({ value, text }) => `
+            <button type="button" class="settings-toggle" data-setting="${name}" data-value="${value}" aria-pressed="${value === selected}">${text}</button>
+        `).join('');
+        return `
+            <div class="settings-row settings-row--stacked">
+                <div>
+                    <div class="settings-label">${label}</div>
+                    <p class="settings-hint">${hint}</p>
+                </div>
+                <div class="settings-choices">${buttons}</div>
+            </div>
+        `;
+    }
+
+    function bindSettingsChoice(name, onChange) {
+        const buttons = document.querySelectorAll(`.settings-toggle[data-setting="${name}"]`);
+        buttons.forEach((button) => {
+            button.addEventListener('click', () => {
+                if (button.getAttribute('aria-pressed') === 'true') return;
+                buttons.forEach((other) => other.setAttribute('aria-pressed', String(other === button)));
+                onChange(button.dataset.value);
+            });
+        });
+    }
+
+    // Flip a settings toggle on click and hand the new value to onChange.
+    function bindSettingsToggle(id, onChange) {
+        const toggle = document.getElementById(id);
+        toggle?.addEventListener('click', () => {
+            const enabled = toggle.getAttribute('aria-pressed') !== 'true';
+            toggle.setAttribute('aria-pressed', String(enabled));
+            toggle.textContent = enabled ? 'ON' : 'OFF';
+            onChange(enabled);
+        });
+    }
+
+    function showSettingsModal() {
+        const settings = getGameSettings();
+        const directional = settings.feedbackMode === 'directional';
+        const ruleSetOptions = Object.values(RULE_SETS).map((rules) => ({ value: rules.id, text: rules.label.toUpperCase() }));
+        const memoryRevealOptions = MEMORY_REVEAL_OPTIONS_MS.map((ms) => ({ value: ms, text: `${ms / 1000}S` }));
+        const closeEnoughOptions = CLOSE_ENOUGH_OPTIONS.map((deltaE) => ({ value: deltaE, text: deltaE ? `ΔE<${deltaE}` : 'OFF' }));
+        const settingsContent = `
+            <div class="title">
+                SETTINGS
+                <button class="modal-close" id="modalClose" aria-label="Close">
+                    <svg class="icon" viewBox="0 0 15 15" aria-hidden="true">
+                        <use href="#icon-cancel"></use>
+                    </svg>
+                </button>
+            </div>
+            <div class="settings-body">
+                ${createSettingsToggle('hardModeToggle', 'Hard Mode', 'Every guess has to respect earlier feedback: green digits stay, yellow and orange digits have to change but stay as close to the earlier digit as their color says.', settings.hardMode)}
+                ${createSettingsToggle('directionalToggle', 'Direction Hints', 'Adds an arrow to every digit that is not green, pointing up or down toward the target digit.', directional)}
+                ${createSettingsToggle('channelSummaryToggle', 'Channel Summary', 'With direction hints on, shows roughly how far off your last guess was per red, green and blue channel.', settings.channelSummary, !directional)}
+                ${createSettingsToggle('memoryModeToggle', 'Memory Mode', 'One reveal at the start of the game, then the color stays hidden until the end. Memory games have their own stats.', settings.memoryMode)}
+                ${createSettingsChoice('memoryRevealMs', 'Memory Reveal', 'How long the one memory mode reveal lasts.', memoryRevealOptions, getMemoryRevealMs(settings.memoryRevealMs))}
+                ${createSettingsToggle('speedrunToggle', 'Speedrun', 'Shows a game clock that starts on your first keystroke or reveal and pauses while a window like this is open. Wins go on a best-times board per rule set.', settings.speedrunMode)}
+                ${createSettingsChoice('unlimitedRuleSet', 'Unlimited Rules', 'Beginner: short 3-digit colors (#RGB). Easy: 7 attempts, longer reveals. Classic: 5 attempts. Expert: 3 attempts, green or gray feedback only. Zen: no attempt cap, give up whenever you like.', ruleSetOptions, getRuleSet(settings.unlimitedRuleSet).id)}
+                ${createSettingsToggle('remainingColorsToggle', 'Remaining Colors', 'Unlimited only: shows how many colors still fit all the feedback so far, per digit and in total, with a button that suggests the most informative next guess.', settings.remainingColors)}
+                ${createSettingsChoice('closeEnoughDeltaE', 'Close Enough', 'Unlimited only: a guess whose color error (ΔE) is under the threshold also wins. Below 2 the difference is hard to see.', closeEnoughOptions, getCloseEnoughDeltaE(settings.closeEnoughDeltaE))}
+            </div>
+        `;
+        openModal(settingsContent);
+
+        bindSettingsToggle('hardModeToggle', (enabled) => {
+            saveGameSettings({ hardMode: enabled });
+            // A game in progress keeps the mode it started with.
+            const game = window.gameInstance;
+            if (game && game.hardMode !== enabled && !game.setHardMode(enabled)) {
+                showToast('Hard mode applies from your next game');
+            }
+        });
+        bindSettingsToggle('memoryModeToggle', (enabled) => {
+            saveGameSettings({ memoryMode: enabled });
+            const game = window.gameInstance;
+            if (game && game.memoryMode !== enabled && !game.setMemoryMode(enabled)) {
+                showToast('Memory mode applies from your next game');
+            }
+        });
+        bindSettingsChoice('memoryRevealMs', (value) => {
+            const revealMs = getMemoryRevealMs(value);
+            saveGameSettings({ memoryRevealMs: revealMs });
+            const game = window.gameInstance;
+            if (game?.memoryMode && game.memoryRevealMs !== revealMs && !game.setMemoryMode(true, revealMs)) {
+                showToast('New reveal length applies from your next game');
+            }
+        });
+        bindSettingsToggle('speedrunToggle', (enabled) => {
+            saveGameSettings({ speedrunMode: enabled });
+            const game = window.gameInstance;
+            if (game && game.speedrunMode !== enabled && !game.setSpeedrunMode(enabled)) {
+                showToast('Speedrun applies from your next game');
+            }
+        });
+        bindSettingsToggle('directionalToggle', (enabled) => {
+            saveGameSettings({ feedbackMode: enabled ? 'directional' : 'classic' });
+            const summaryToggle = document.getElementById('channelSummaryToggle');
+            if (summaryToggle) summaryToggle.disabled = !enabled;
+            applyFeedbackSettings();
+        });
+        bindSettingsToggle('channelSummaryToggle', (enabled) => {
+            saveGameSettings({ channelSummary: enabled });
+            applyFeedbackSettings();
+        });
+        bindSettingsChoice('unlimitedRuleSet', (ruleSetId) => {
+            saveGameSettings({ unlimitedRuleSet: ruleSetId });
+            const game = window.gameInstance;
+            if (game?.mode === 'unlimited' && !game.setRuleSet(ruleSetId)) {
+                showToast('New rules apply from your next game');
+            }
+        });
+        bindSettingsToggle('remainingColorsToggle', (enabled) => {
+            saveGameSettings({ remainingColors: enabled });
+            window.gameInstance?.updateSolver();
+        });
+        bindSettingsChoice('closeEnoughDeltaE', (value) => {
+            const deltaE = getCloseEnoughDeltaE(value);
+            saveGameSettings({ closeEnoughDeltaE: deltaE });
+            const game = window.gameInstance;
+            if (game?.mode === 'unlimited' && game.closeEnoughDeltaE !== deltaE && !game.setCloseEnough(deltaE)) {
+                showToast('Close enough applies from your next game');
+            }
+        });
+    }
+
     function showStatsModal(dailyAlreadyCompleted = false) {
-        const mode = window.gameInstance?.mode || 'daily';
-        const stats = getStats(mode);
-        const isGameOver = window.gameInstance?.gameOver || false;
+        const gameMode = window.gameInstance?.mode || 'daily';
+        // The create page has no game of its own; show what its links feed into.
+        const mode = gameMode === 'create' ? 'custom' : gameMode;
+        const rules = window.gameInstance?.rules || RULE_SETS.classic;
+        const stats = getStats(gameMode === 'create' ? 'custom' : window.gameInstance?.getStatsBucket() || mode);
+        const statsVariants = [
+            mode === 'unlimited' && rules.id !== 'classic' && `${rules.label} rules`,
+            gameMode !== 'create' && window.gameInstance?.memoryMode && 'memory mode'
+        ].filter(Boolean);
+        const rulesNote = statsVariants.length ? ` (${statsVariants.join(', ')})` : '';
+        const isGameOver = gameMode !== 'create' && (window.gameInstance?.gameOver || false);
         const puzzleDate = window.gameInstance?.dailyPuzzleDate || null;
         const todayUtc = new Date().toISOString().split('T')[0];
         const hasNextDailyAvailable =
             mode === 'daily' &&
             !!puzzleDate &&
             todayUtc > puzzleDate;
+        // "You vs. everyone" only once today's daily is finished.
+        const showGlobalDistribution = mode === 'daily' && isGameOver && !!puzzleDate;
+        const puzzleNumber = (mode === 'daily' || mode === 'archive') ? window.gameInstance?.puzzleNumber : null;
+        const puzzleSpecial = isGameOver ? window.gameInstance?.puzzleSpecial : null;
+        const challengeNote = mode === 'challenge' && isGameOver ? createChallengeNote(window.gameInstance) : '';
         
         // Determine button content
         let buttonContent;
-        if (dailyAlreadyCompleted && mode === 'daily') {
+        if (mode === 'archive' && isGameOver) {
+            // Archived dailies can't be replayed; point at the calendar instead.
+            buttonContent = '<button type="button" class="stats-button" onclick="window.showArchiveModal()">PICK ANOTHER DAY!</button>';
+        } else if (mode === 'custom' && isGameOver) {
+            buttonContent = `<button type="button" class="stats-button" onclick="window.location.href='${createUrl}'">CREATE YOUR OWN!</button>`;
+        } else if (mode === 'challenge' && isGameOver) {
+            buttonContent = `<button type="button" class="stats-button" onclick="window.location.href='${unlimitedUrl}'">PLAY UNLIMITED!</button>`;
+        } else if (mode === 'unlimited' && isGameOver && !window.gameInstance?.canChallengeFriend()) {
+            buttonContent = '<button class="stats-button" onclick="window.closeModalAndPlay()">PLAY AGAIN!</button>';
+        } else if (mode === 'unlimited' && isGameOver) {
+            buttonContent = `
+                <button class="stats-button" onclick="window.closeModalAndPlay()">PLAY AGAIN!</button>
+                <button type="button" class="stats-button stats-button-secondary" id="challengeFriendBtn" onclick="window.challengeFriend()">CHALLENGE A FRIEND!</button>
+            `;
+        } else if (dailyAlreadyCompleted && mode === 'daily') {
             if (hasNextDailyAvailable) {
                 // New daily is already available on this same page session.
                 buttonContent = '<button type="button" class="stats-button" onclick="window.location.reload()">PLAY NEW COLOR!</button>';
@@ -2564,6 +4379,9 @@ window.addEventListener('DOMContentLoaded', async () => {
                 </button>
             </div>
             <div class="stats-body">
+                ${puzzleNumber ? `<p class="stats-note stats-puzzle-number">Puzzle #${puzzleNumber} (${window.gameInstance.getShareDateText()})</p>` : ''}
+                ${puzzleSpecial ? createPuzzleSpecial(puzzleSpecial) : ''}
+                ${challengeNote}
                 <div class="stats-grid" id="statsGrid">
                     ${createStatCell(stats.gamesPlayed, 'Games Played', 0)}
                     ${createStatCell(stats.gamesWon, 'Games Won', 1)}
@@ -2575,11 +4393,20 @@ window.addEventListener('DOMContentLoaded', async () => {
                     ${createStatCell(stats.avgColorAccuracy, 'Guess Accuracy', 7)}
                     ${createStatCell(stats.guessEfficiency, 'Guess Efficiency', 8)}
                 </div>
+                ${rules.id === 'zen' ? `<p class="stats-note">Average guesses to solve: ${stats.avgGuessesToSolve}</p>` : ''}
+                ${stats.closeEnoughWins ? `<p class="stats-note">Close enough: ${stats.closeEnoughWins} of ${stats.gamesWon} wins, ΔE ${(stats.closeEnoughTotalDeltaE / stats.closeEnoughWins).toFixed(2)} off on average</p>` : ''}
+                ${stats.hardModeGamesPlayed ? `<p class="stats-note">Hard mode: ${stats.hardModeGamesWon || 0} of ${stats.hardModeGamesPlayed} games won</p>` : ''}
+                ${gameMode !== 'create' ? createSpeedrunSection(stats, rules) : ''}
+                ${showGlobalDistribution ? createDistributionSection(stats) : ''}
                 ${buttonContent}
-                <p class="stats-note">* Statistics shown for ${mode} mode</p>
+                <p class="stats-note">* Statistics shown for ${mode} mode${rulesNote}</p>
             </div>
         `;
         openModal(statsContent);
+
+        if (showGlobalDistribution) {
+            loadGlobalDistribution(puzzleDate);
+        }
         
         // Start countdown timer if daily already completed
         if (dailyAlreadyCompleted && mode === 'daily' && !hasNextDailyAvailable) {
@@ -2646,6 +4473,217 @@ window.addEventListener('DOMContentLoaded', async () => {
         observer.observe(modal, { attributes: true });
     }
 
+    // Rows: wins in 1..5 attempts, then losses. Each row has two bars, your
+    // own share of games (all time) and everyone's share for today.
+    const distributionBuckets = ['1', '2', '3', '4', '5', 'fail'];
+
+    function formatShare(count, total) {
+        return total > 0 ? Math.round((count / total) * 100) : 0;
+    }
+
+    function createDistributionSection(stats) {
+        const yourDistribution = stats.guessDistribution || {};
+        const yourTotal = distributionBuckets.reduce((sum, bucket) => sum + (yourDistribution[bucket] || 0), 0);
+
+        const game = window.gameInstance;
+        const todayWon = !!game?.guessHistory?.some((entry) => entry && entry.hex === game.targetColor);
+        const todayBucket = game?.gameOver ? (todayWon ? String(game.guessHistory.length) : 'fail') : null;
+
+        const rows = distributionBuckets.map((bucket) => {
+            const yourShare = formatShare(yourDistribution[bucket] || 0, yourTotal);
+            const label = bucket === 'fail' ? 'X' : bucket;
+            return `
+                <div class="distribution-row${bucket === todayBucket ? ' is-today' : ''}">
+                    <span class="distribution-label">${label}</span>
+                    <div class="distribution-bars">
+                        <div class="distribution-bar distribution-bar--you" style="--bar-share: ${yourShare}%"><span>${yourShare}%</span></div>
+                        <div class="distribution-bar distribution-bar--all" data-bucket="${bucket}" style="--bar-share: 0%"><span>--</span></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <p class="modal-paragraph modal-section-paragraph distribution-heading"><span class="modal-section-box modal-section-header">You vs. Everyone</span></p>
+            <div class="distribution" id="globalDistribution">
+                ${rows}
+            </div>
+            <p class="stats-note distribution-legend"><span class="distribution-key distribution-key--you"></span> You (all games) <span class="distribution-key distribution-key--all"></span> <span id="globalDistributionNote">Everyone today</span></p>
+        `;
+    }
+
+    async function loadGlobalDistribution(date) {
+        let globalStats;
+        try {
+            globalStats = await fetchDailyStats({ date });
+        } catch {
+            globalStats = null;
+        }
+
+        // The modal may have been closed or replaced while fetching.
+        const container = document.getElementById('globalDistribution');
+        const note = document.getElementById('globalDistributionNote');
+        if (!container) return;
+
+        if (!globalStats) {
+            if (note) note.textContent = 'Everyone today (unavailable)';
+            return;
+        }
+
+        const counts = { ...globalStats.distribution, fail: globalStats.lost || 0 };
+        container.querySelectorAll('.distribution-bar--all').forEach((bar) => {
+            const share = formatShare(counts[bar.dataset.bucket] || 0, globalStats.players);
+            bar.style.setProperty('--bar-share', `${share}%`);
+            const valueEl = bar.querySelector('span');
+            if (valueEl) valueEl.textContent = `${share}%`;
+        });
+        if (note) {
+            const playerLabel = globalStats.players === 1 ? 'player' : 'players';
+            note.textContent = `Everyone today (${globalStats.players} ${playerLabel})`;
+        }
+    }
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Best speedrun times for the game's rule set, once there's a run to show.
+    function createSpeedrunSection(stats, rules) {
+        const game = window.gameInstance;
+        const times = getSpeedrunLeaderboard()[rules.id] || [];
+        if (times.length === 0 && !game?.speedrunMode) return '';
+        const modeLabels = { daily: 'Daily', archive: 'Archive', unlimited: 'Unlimited', challenge: 'Challenge', custom: 'Custom' };
+        const rows = times.map((entry, i) => {
+            const isThisRun = game?.gameOver && game.speedrunRank === i + 1;
+            return `
+                <li class="speedrun-entry${isThisRun ? ' is-today' : ''}">
+                    <span class="speedrun-time">${formatSpeedrunTime(Number(entry.ms) || 0)}</span>
+                    <span class="speedrun-detail">${Number(entry.attempts) || '?'} attempts · ${modeLabels[entry.mode] || 'Unlimited'}</span>
+                </li>
+            `;
+        }).join('');
+        const average = stats.speedrunWins
+            ? `<p class="stats-note">Average speedrun win here: ${formatSpeedrunTime(stats.speedrunTotalMs / stats.speedrunWins)}</p>`
+            : '';
+        return `
+            <p class="modal-paragraph modal-section-paragraph"><span class="modal-section-box modal-section-header">Best Times (${rules.label})</span></p>
+            ${rows ? `<ol class="speedrun-board">${rows}</ol>` : '<p class="stats-note">No speedrun wins yet</p>'}
+            ${average}
+        `;
+    }
+
+    // "+12", "−4" or "±0"; "—" when there's nothing to compare
+    function formatSignedDelta(value, unit = '') {
+        if (value === null) return '—';
+        const sign = value > 0 ? '+' : value < 0 ? '−' : '±';
+        return `${sign}${Math.abs(value)}${unit}`;
+    }
+
+    // ΔE over attempts as a small inline SVG; each dot is filled with its guess.
+    function createErrorChart(review) {
+        const width = 100;
+        const height = 40;
+        const pad = 4;
+        const maxError = Math.max(...review.map((entry) => entry.colorError), 1);
+        const points = review.map((entry, i) => ({
+            x: review.length > 1 ? pad + (i * (width - 2 * pad)) / (review.length - 1) : width / 2,
+            y: pad + (1 - entry.colorError / maxError) * (height - 2 * pad),
+            hex: expandHex(entry.hex)
+        }));
+        const line = points.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+        const dots = points.map(({ x, y, hex }) => `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="1.8" fill="#${hex}" stroke="currentColor" stroke-width="0.5"/>`).join('');
+        return `
+            <svg class="review-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Color difference over attempts">
+                <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="currentColor" stroke-width="0.3" opacity="0.5"/>
+                <polyline points="${line}" fill="none" stroke="currentColor" stroke-width="0.6"/>
+                ${dots}
+            </svg>
+            <p class="stats-note review-chart-note">ΔE per attempt, from ${maxError.toFixed(1)} (top) to 0 (bottom)</p>
+        `;
+    }
+
+    // Post-game breakdown, opened from the review button on the share row.
+    function showReviewModal() {
+        const game = window.gameInstance;
+        if (!game?.gameOver || !game.targetColor) return;
+        const review = game.getGuessReview();
+        const target = expandHex(game.targetColor);
+        const rows = review.map((entry, i) => {
+            const { rgbDelta: [r, g, b], hslDelta: [h, sat, l] } = entry;
+            let progress = '';
+            if (entry.improvement !== null) {
+                progress = entry.improvement >= 0
+                    ? ` · ${entry.improvement.toFixed(1)} closer`
+                    : ` · ${Math.abs(entry.improvement).toFixed(1)} further`;
+            }
+            return `
+                <div class="review-row">
+                    <span class="distribution-label">${i + 1}</span>
+                    <span class="review-swatches">
+                        <span class="review-swatch" style="background: #${expandHex(entry.hex)}" title="Your guess"></span>
+                        <span class="review-swatch" style="background: #${target}" title="Target"></span>
+                    </span>
+                    <div class="review-detail">
+                        <div>#${entry.hex} · ΔE ${entry.colorError.toFixed(1)}${progress}</div>
+                        <div class="review-deltas">R ${formatSignedDelta(r)} G ${formatSignedDelta(g)} B ${formatSignedDelta(b)}</div>
+                        <div class="review-deltas">H ${formatSignedDelta(h, '°')} S ${formatSignedDelta(sat, '%')} L ${formatSignedDelta(l, '%')}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const reviewContent = `
+            <div class="title">
+                REVIEW
+                <button class="modal-close" id="modalClose" aria-label="Close">
+                    <svg class="icon" viewBox="0 0 15 15" aria-hidden="true">
+                        <use href="#icon-cancel"></use>
+                    </svg>
+                </button>
+            </div>
+            <div class="stats-body">
+                <p class="stats-note stats-puzzle-number">Target #${game.targetColor} · offsets are guess minus target</p>
+                ${review.length ? createErrorChart(review) : ''}
+                <div class="review-rows">${rows || '<p class="stats-note">No guesses this game</p>'}</div>
+                <button type="button" class="stats-button" id="reviewStatsBtn">STATISTICS</button>
+            </div>
+        `;
+        openModal(reviewContent);
+        document.getElementById('reviewStatsBtn')?.addEventListener('click', () => {
+            showStatsModal(game.mode === 'daily');
+        });
+    }
+
+    // Both results of a finished challenge plus who came out ahead.
+    function createChallengeNote(game) {
+        const mine = game.getChallengeResult();
+        const theirs = game.challenge;
+        const formatResult = (result) => (result.won
+            ? `${result.attempts}/${game.maxAttempts}`
+            : `X/${game.maxAttempts}`);
+        const verdicts = { won: 'You won!', lost: 'Your friend won!', tie: "It's a tie!" };
+        return `
+            <div class="puzzle-special">
+                <div class="puzzle-special-title">${verdicts[game.getChallengeOutcome()]}</div>
+                <div class="puzzle-special-caption">You ${formatResult(mine)} · Friend ${formatResult(theirs)}</div>
+            </div>
+        `;
+    }
+
+    // Title/caption of a scheduled holiday color, revealed with the answer.
+    function createPuzzleSpecial({ title, caption }) {
+        return `
+            <div class="puzzle-special">
+                ${title ? `<div class="puzzle-special-title">${escapeHtml(title)}</div>` : ''}
+                ${caption ? `<div class="puzzle-special-caption">${escapeHtml(caption)}</div>` : ''}
+            </div>
+        `;
+    }
+
     function createStatCell(value, label, index) {
         const stackedLabel = String(label).trim().split(/\s+/).join('<br>');
 
@@ -2803,12 +4841,32 @@ window.addEventListener('DOMContentLoaded', async () => {
             stats.avgGuesses = stats.gamesPlayed > 0 
                 ? (stats.totalGuessesAllGames / stats.gamesPlayed).toFixed(2)
                 : '--';
+            stats.avgGuessesToSolve = stats.zenGuessesToSolve > 0
+                ? (stats.zenGuessesToSolve / stats.gamesWon).toFixed(2)
+                : '--';
             
+            // CIEDE2000 totals once any game has recorded them; until then,
+            // stats saved by older versions still show their RGB figures.
+            const errorTotals = stats.deltaEGuesses > 0
+                ? {
+                    guesses: stats.deltaEGuesses,
+                    games: stats.deltaEGames,
+                    error: stats.totalDeltaE,
+                    reduction: stats.totalDeltaEReduction,
+                    maxError: MAX_DELTA_E
+                }
+                : {
+                    guesses: stats.totalGuessesAllGames,
+                    games: stats.gamesPlayed,
+                    error: stats.totalColorErrorAllGuesses,
+                    reduction: stats.totalErrorReduction,
+                    maxError: 441.67 // sqrt(255^2 * 3)
+                };
+
             // Convert color error to accuracy percentage
-            const maxColorDistance = 441.67; // sqrt(255^2 * 3)
-            if (stats.totalGuessesAllGames > 0) {
-                const avgError = stats.totalColorErrorAllGuesses / stats.totalGuessesAllGames;
-                const accuracyPercent = ((1 - (avgError / maxColorDistance)) * 100);
+            if (errorTotals.guesses > 0) {
+                const avgError = errorTotals.error / errorTotals.guesses;
+                const accuracyPercent = ((1 - (avgError / errorTotals.maxError)) * 100);
                 stats.avgColorAccuracy = formatPercent(accuracyPercent);
                 
                 // Add descriptor
@@ -2824,9 +4882,9 @@ window.addEventListener('DOMContentLoaded', async () => {
             }
             
             // Convert error reduction to percentage improvement
-            if (stats.totalGuessesAllGames > 1) {
-                const avgReduction = stats.totalErrorReduction / (stats.totalGuessesAllGames - stats.gamesPlayed);
-                const improvementPercent = ((avgReduction / maxColorDistance) * 100);
+            if (errorTotals.guesses > errorTotals.games) {
+                const avgReduction = errorTotals.reduction / (errorTotals.guesses - errorTotals.games);
+                const improvementPercent = ((avgReduction / errorTotals.maxError) * 100);
                 stats.guessEfficiency = formatPercent(improvementPercent, true);
                 
                 // Add descriptor
@@ -2851,6 +4909,115 @@ window.addEventListener('DOMContentLoaded', async () => {
         localStorage.setItem(storageKey, JSON.stringify(stats));
     }
 
+    // --- Archive calendar ---
+    const archiveMonthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    let archiveViewYear = Number(archiveDate.slice(0, 4));
+    let archiveViewMonth = Number(archiveDate.slice(5, 7)) - 1;
+
+    function getArchiveDayStatus(date) {
+        if (date === todayUtcDate) return 'is-today';
+        const saved = readArchiveGameState(date);
+        if (!saved) return '';
+        if (saved.gameOver) return saved.won ? 'is-won' : 'is-lost';
+        return Array.isArray(saved.guessHistory) && saved.guessHistory.length > 0 ? 'is-started' : '';
+    }
+
+    function renderArchiveCalendar() {
+        const calendarEl = document.getElementById('archiveCalendar');
+        const monthLabelEl = document.getElementById('archiveMonthLabel');
+        const prevBtn = document.getElementById('archivePrevMonth');
+        const nextBtn = document.getElementById('archiveNextMonth');
+        if (!calendarEl) return;
+
+        const monthKey = `${archiveViewYear}-${String(archiveViewMonth + 1).padStart(2, '0')}`;
+        if (monthLabelEl) {
+            monthLabelEl.textContent = `${archiveMonthLabels[archiveViewMonth]} ${archiveViewYear}`;
+        }
+        if (prevBtn) prevBtn.disabled = monthKey <= FIRST_PUZZLE_DATE.slice(0, 7);
+        if (nextBtn) nextBtn.disabled = monthKey >= todayUtcDate.slice(0, 7);
+
+        const firstWeekday = new Date(Date.UTC(archiveViewYear, archiveViewMonth, 1)).getUTCDay();
+        const daysInMonth = new Date(Date.UTC(archiveViewYear, archiveViewMonth + 1, 0)).getUTCDate();
+
+        let cells = '';
+        for (let i = 0; i < firstWeekday; i++) {
+            cells += '<span class="archive-day archive-day--blank" aria-hidden="true"></span>';
+        }
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = `${monthKey}-${String(day).padStart(2, '0')}`;
+            const playable = date >= FIRST_PUZZLE_DATE && date <= todayUtcDate;
+            const statusClass = playable ? getArchiveDayStatus(date) : '';
+            const selectedClass = MODE === 'archive' && date === archiveDate ? ' is-selected' : '';
+            cells += `<button type="button" class="archive-day ${statusClass}${selectedClass}" data-archive-date="${date}"${playable ? '' : ' disabled'}>${day}</button>`;
+        }
+        calendarEl.innerHTML = cells;
+    }
+
+    function showArchiveModal() {
+        const archiveContent = `
+            <div class="title">
+                ARCHIVE
+                <button class="modal-close" id="modalClose" aria-label="Close">
+                    <svg class="icon" viewBox="0 0 15 15" aria-hidden="true">
+                        <use href="#icon-cancel"></use>
+                    </svg>
+                </button>
+            </div>
+            <div class="archive-body">
+                <div class="archive-nav">
+                    <button type="button" class="archive-nav-btn" id="archivePrevMonth" aria-label="Previous month">&lt;</button>
+                    <span class="archive-month-label" id="archiveMonthLabel"></span>
+                    <button type="button" class="archive-nav-btn" id="archiveNextMonth" aria-label="Next month">&gt;</button>
+                </div>
+                <div class="archive-weekdays" aria-hidden="true">
+                    <span>S</span><span>M</span><span>T</span><span>W</span><span>T</span><span>F</span><span>S</span>
+                </div>
+                <div class="archive-calendar" id="archiveCalendar"></div>
+                <p class="stats-note">* Archive games don't affect your daily streak</p>
+            </div>
+        `;
+        openModal(archiveContent);
+        renderArchiveCalendar();
+
+        const stepMonth = (delta) => {
+            const next = new Date(Date.UTC(archiveViewYear, archiveViewMonth + delta, 1));
+            archiveViewYear = next.getUTCFullYear();
+            archiveViewMonth = next.getUTCMonth();
+            renderArchiveCalendar();
+        };
+        document.getElementById('archivePrevMonth')?.addEventListener('click', () => stepMonth(-1));
+        document.getElementById('archiveNextMonth')?.addEventListener('click', () => stepMonth(1));
+        document.getElementById('archiveCalendar')?.addEventListener('click', (e) => {
+            const dayBtn = e.target.closest('.archive-day[data-archive-date]');
+            if (!dayBtn || dayBtn.disabled) return;
+            const date = dayBtn.dataset.archiveDate;
+            if (date === todayUtcDate) {
+                // Today's color is the regular daily, with its streak.
+                location.href = isFile ? 'index.html' : '/';
+                return;
+            }
+            if (MODE === 'archive' && date === archiveDate) {
+                closeModal();
+                return;
+            }
+            location.href = getArchiveUrl(date);
+        });
+    }
+
+    // Landing on /archive without a (valid) date: yesterday's game is loaded
+    // behind the calendar so the picker is the first thing the player sees.
+    if (MODE === 'archive' && !hasValidArchiveDate) {
+        const autoChannel = 'archivePickerAuto';
+        autoPopupBypassState[autoChannel].pending = true;
+        setTimeout(() => {
+            autoPopupBypassState[autoChannel].pending = false;
+            if (shouldSuppressAutoPopup(autoChannel)) return;
+            if (!document.body.classList.contains('modal-open')) {
+                showArchiveModal();
+            }
+        }, 600);
+    }
+
     window.closeModalAndPlay = function() {
         closeModal();
         // Restart the game
@@ -2859,8 +5026,28 @@ window.addEventListener('DOMContentLoaded', async () => {
         }
     };
 
+    // Turn the finished Unlimited game into a challenge link and copy it.
+    window.challengeFriend = async function() {
+        const game = window.gameInstance;
+        if (!game || game.mode !== 'unlimited' || !game.gameOver) return;
+
+        const button = document.getElementById('challengeFriendBtn');
+        if (button) button.disabled = true;
+        try {
+            const token = await postChallenge(game.getChallengeResult());
+            await copyTextToClipboard(getChallengeUrl(token));
+            showToast('Challenge link copied!');
+        } catch {
+            showToast("Couldn't create challenge link");
+        } finally {
+            if (button) button.disabled = false;
+        }
+    };
+
     // Make stats and modal functions globally accessible
     window.showStatsModal = showStatsModal;
+    window.showReviewModal = showReviewModal;
+    window.showArchiveModal = showArchiveModal;
     window.getStats = getStats;
     window.saveStats = saveStats;
     window.closeModal = closeModal;
@@ -0,0 +1,621 @@
+// Headless HexGuessr engine: rule sets, color math, scoring and game state,
+// with no DOM or storage. app.js draws a game on top of it; Node can import
+// it as is for tests (`node --test tests/`), bots and simulations. The page
+// loads engine.js instead, built from this file by tools/build-engine.mjs.
+//
+// A game is a plain object. Nothing here changes one in place: every update
+// returns a new game, so old states can be kept, compared or serialized.
+
+// ----- Rule sets -----
+
+// Rule sets: attempts, reveal timing and how far off a digit can be for
+// each feedback color. Daily, archive, challenge and custom games always
+// play Classic (custom links only change the attempt count); Unlimited plays
+// whichever set is picked in the settings.
+export const RULE_SETS = {
+  // Short #RGB colors: 3 digits, so only 4096 possible targets
+  beginner: {
+    id: 'beginner',
+    label: 'Beginner',
+    hexLength: 3,
+    maxAttempts: 5,
+    revealBaseMs: 2000,
+    revealStepMs: 750,
+    closeDistance: 1,
+    nearDistance: 3
+  },
+  easy: {
+    id: 'easy',
+    label: 'Easy',
+    hexLength: 6,         // digits in the target and each guess
+    maxAttempts: 7,
+    revealBaseMs: 2000,   // first reveal
+    revealStepMs: 750,    // added for every later attempt
+    closeDistance: 1,     // yellow: off by at most this
+    nearDistance: 3       // orange: off by at most this
+  },
+  classic: {
+    id: 'classic',
+    label: 'Classic',
+    hexLength: 6,
+    maxAttempts: 5,
+    revealBaseMs: 1000,
+    revealStepMs: 500,
+    closeDistance: 1,
+    nearDistance: 3
+  },
+  // Green or gray only
+  expert: {
+    id: 'expert',
+    label: 'Expert',
+    hexLength: 6,
+    maxAttempts: 3,
+    revealBaseMs: 1000,
+    revealStepMs: 500,
+    closeDistance: 0,
+    nearDistance: 0
+  },
+  // Practice: no attempt cap. The grid grows a row per guess and the game
+  // ends on a match or when the player gives up.
+  zen: {
+    id: 'zen',
+    label: 'Zen',
+    hexLength: 6,
+    maxAttempts: Infinity,
+    revealBaseMs: 2000,
+    revealStepMs: 0,
+    closeDistance: 1,
+    nearDistance: 3
+  }
+};
+
+export function getRuleSet(id) {
+  return RULE_SETS[id] || RULE_SETS.classic;
+}
+
+// "FAB" → "FFAABB". Six-digit hex is returned as is.
+export function expandHex(hex) {
+  return hex.length === 3 ? hex.replace(/./g, (digit) => digit + digit) : hex;
+}
+
+// Nearest short color for a six-digit hex: "FFA9BB" → "FAB".
+export function toShortHex(hex) {
+  return [0, 2, 4]
+    .map((i) => Math.round(parseInt(hex.substr(i, 2), 16) / 17).toString(16))
+    .join('')
+    .toUpperCase();
+}
+
+// ----- Colors -----
+
+// Perceptual color error, also used by the server (functions/): sRGB (D65)
+// → CIE L*a*b*, then CIEDE2000, where 0 means identical and black vs. white
+// is 100. Black vs. white is not the farthest pair, though: the largest ΔE
+// between two sRGB colors is about 119.47 (00006E vs. 8FFF00), so anything
+// scaled against MAX_DELTA_E stays within 0..1.
+export const MAX_DELTA_E = 119.5;
+
+export function hexToLab(hex) {
+  const [r, g, b] = [0, 2, 4].map((i) => {
+    const c = parseInt(hex.substr(i, 2), 16) / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+  const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+  const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const [fx, fy, fz] = [f(x), f(y), f(z)];
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+// CIEDE2000 between two Lab colors (Sharma, Wu & Dalal 2005).
+export function getLabDeltaE2000([l1, a1, b1], [l2, a2, b2]) {
+  const rad = Math.PI / 180;
+  const cBar7 = ((Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2) ** 7;
+  const g = 0.5 * (1 - Math.sqrt(cBar7 / (cBar7 + 25 ** 7)));
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => (b === 0 && a === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+  const hasChroma = c1p * c2p !== 0;
+
+  let dhp = hasChroma ? h2p - h1p : 0;
+  if (dhp > 180) dhp -= 360;
+  else if (dhp < -180) dhp += 360;
+  const dLp = l2 - l1;
+  const dCp = c2p - c1p;
+  const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((dhp / 2) * rad);
+
+  const lBarp = (l1 + l2) / 2;
+  const cBarp = (c1p + c2p) / 2;
+  let hBarp = h1p + h2p;
+  if (hasChroma) {
+    if (Math.abs(h1p - h2p) <= 180) hBarp /= 2;
+    else hBarp = (hBarp < 360 ? hBarp + 360 : hBarp - 360) / 2;
+  }
+
+  const t = 1 - 0.17 * Math.cos((hBarp - 30) * rad) + 0.24 * Math.cos(2 * hBarp * rad) +
+    0.32 * Math.cos((3 * hBarp + 6) * rad) - 0.2 * Math.cos((4 * hBarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hBarp - 275) / 25) ** 2));
+  const cBarp7 = cBarp ** 7;
+  const rc = 2 * Math.sqrt(cBarp7 / (cBarp7 + 25 ** 7));
+  const sl = 1 + (0.015 * (lBarp - 50) ** 2) / Math.sqrt(20 + (lBarp - 50) ** 2);
+  const sc = 1 + 0.045 * cBarp;
+  const sh = 1 + 0.015 * cBarp * t;
+  const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+  const lTerm = dLp / sl;
+  const cTerm = dCp / sc;
+  const hTerm = dHp / sh;
+  return Math.sqrt(lTerm ** 2 + cTerm ** 2 + hTerm ** 2 + rt * cTerm * hTerm);
+}
+
+export function getDeltaE2000(hexA, hexB) {
+  return getLabDeltaE2000(hexToLab(hexA), hexToLab(hexB));
+}
+
+// Plain RGB distance, the color error used before CIEDE2000. Only kept to
+// compare against old challenge links.
+export function getRgbDistance(hexA, hexB) {
+  const [r1, g1, b1] = [0, 2, 4].map((i) => parseInt(hexA.substr(i, 2), 16));
+  const [r2, g2, b2] = [0, 2, 4].map((i) => parseInt(hexB.substr(i, 2), 16));
+  return Math.sqrt((r2 - r1) ** 2 + (g2 - g1) ** 2 + (b2 - b1) ** 2);
+}
+
+export function hexToRgb(hex) {
+  return [0, 2, 4].map((i) => parseInt(hex.substr(i, 2), 16));
+}
+
+export function rgbToHex(rgb) {
+  return rgb
+    .map((v) => Math.max(0, Math.min(255, Math.round(v))).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+// [r, g, b] (0..255) ↔ [hue 0..360, saturation 0..100, lightness 0..100]
+export function rgbToHsl(rgb) {
+  const [r, g, b] = rgb.map((v) => v / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const delta = max - min;
+  if (delta === 0) return [0, 0, l * 100];
+  const s = delta / (1 - Math.abs(2 * l - 1));
+  let h;
+  if (max === r) h = ((g - b) / delta + 6) % 6;
+  else if (max === g) h = (b - r) / delta + 2;
+  else h = (r - g) / delta + 4;
+  return [h * 60, s * 100, l * 100];
+}
+
+function hslToRgb([h, s, l]) {
+  s /= 100;
+  l /= 100;
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return (l - c / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+  };
+  return [f(0), f(8), f(4)];
+}
+
+// [r, g, b] (0..255) ↔ OKLCH [lightness 0..100, chroma, hue 0..360], using
+// Björn Ottosson's OKLab matrices. Colors outside sRGB are clipped.
+function rgbToOklch(rgb) {
+  const [r, g, b] = rgb.map((v) => {
+    const c = v / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  const lightness = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const bb = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+  const hue = (Math.atan2(bb, a) * 180 / Math.PI + 360) % 360;
+  return [lightness * 100, Math.hypot(a, bb), hue];
+}
+
+function oklchToRgb([lightness, chroma, hue]) {
+  const L = lightness / 100;
+  const a = chroma * Math.cos(hue * Math.PI / 180);
+  const b = chroma * Math.sin(hue * Math.PI / 180);
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ].map((c) => {
+    const v = Math.max(0, Math.min(1, c));
+    return (v <= 0.0031308 ? v * 12.92 : 1.055 * v ** (1 / 2.4) - 0.055) * 255;
+  });
+}
+
+// ----- Input formats -----
+
+// Ways to type a guess besides hex. Each channel has its range, the decimals
+// it's typed with, and how far off it can be for yellow (close) and orange
+// (near). Hue wraps around and doesn't count when the color has no chroma.
+export const INPUT_FORMATS = {
+  hex: { id: 'hex', label: 'HEX', channels: [] },
+  rgb: {
+    id: 'rgb',
+    label: 'RGB',
+    channels: [
+      { label: 'R', max: 255, decimals: 0, close: 8, near: 24 },
+      { label: 'G', max: 255, decimals: 0, close: 8, near: 24 },
+      { label: 'B', max: 255, decimals: 0, close: 8, near: 24 }
+    ],
+    fromRgb: (rgb) => rgb,
+    toRgb: (values) => values
+  },
+  hsl: {
+    id: 'hsl',
+    label: 'HSL',
+    channels: [
+      { label: 'H', max: 360, decimals: 0, close: 5, near: 15, hue: true, chromaIndex: 1 },
+      { label: 'S', max: 100, decimals: 0, close: 3, near: 10 },
+      { label: 'L', max: 100, decimals: 0, close: 3, near: 10 }
+    ],
+    fromRgb: rgbToHsl,
+    toRgb: hslToRgb
+  },
+  oklch: {
+    id: 'oklch',
+    label: 'OKLCH',
+    channels: [
+      { label: 'L', max: 100, decimals: 0, close: 2, near: 6 },
+      { label: 'C', max: 0.4, decimals: 2, close: 0.01, near: 0.03 },
+      { label: 'H', max: 360, decimals: 0, close: 5, near: 15, hue: true, chromaIndex: 1 }
+    ],
+    fromRgb: rgbToOklch,
+    toRgb: oklchToRgb
+  }
+};
+
+export function getInputFormat(id) {
+  return INPUT_FORMATS[id] || INPUT_FORMATS.hex;
+}
+
+function roundChannelValue(channel, value) {
+  const rounded = Number(value.toFixed(channel.decimals));
+  return channel.hue ? rounded % 360 : rounded;
+}
+
+// The format's channel values for a hex color, rounded the way they're typed.
+export function getChannelValues(format, hex) {
+  const values = format.fromRgb(hexToRgb(expandHex(hex)))
+    .map((value, i) => roundChannelValue(format.channels[i], value));
+  // Grays get hue 0 rather than whatever the math left over.
+  return values.map((value, i) => {
+    const channel = format.channels[i];
+    return channel.hue && values[channel.chromaIndex] === 0 ? 0 : value;
+  });
+}
+
+export function channelValuesToHex(format, values) {
+  return rgbToHex(format.toRgb(values));
+}
+
+export function formatChannelValue(channel, value) {
+  return value.toFixed(channel.decimals);
+}
+
+// Typed text → channel value, or null when it's not a number in range.
+export function parseChannelValue(channel, text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return null;
+  const value = Number(trimmed);
+  if (!Number.isFinite(value) || value < 0 || value > channel.max) return null;
+  return roundChannelValue(channel, value);
+}
+
+export function getChannelDistance(channel, a, b) {
+  const distance = Math.abs(a - b);
+  return Number((channel.hue ? Math.min(distance, 360 - distance) : distance).toFixed(channel.decimals));
+}
+
+// ----- Games -----
+
+// rules: a RULE_SETS entry. target: hex of the right length, or null while
+// it's unknown (the daily's comes from the server once the game ends).
+// format: an INPUT_FORMATS entry with channels, or null for hex digits.
+export function createGame({
+  rules = RULE_SETS.classic,
+  target = null,
+  format = null,
+  hardMode = false,
+  closeEnoughDeltaE = 0,
+  maxAttempts = rules.maxAttempts
+} = {}) {
+  return {
+    rules,
+    target,
+    format: format && format.channels.length ? format : null,
+    hardMode: !!hardMode,
+    // 0 means exact matches only
+    closeEnoughDeltaE,
+    maxAttempts,
+    // [{ hex, colorError, statuses, directions, channels, values?, closeEnough? }]
+    guesses: [],
+    gaveUp: false
+  };
+}
+
+// Copy of the game with some fields replaced.
+export function updateGame(game, changes) {
+  return { ...game, ...changes };
+}
+
+// `random` returns 0..1 like Math.random; pass a seeded one for repeatable runs.
+export function generateRandomColor(rules, random = Math.random) {
+  if (rules.hexLength === 3) {
+    return Math.floor(random() * 4096).toString(16).padStart(3, '0').toUpperCase();
+  }
+  return Math.floor(random() * 16777216).toString(16).padStart(6, '0').toUpperCase();
+}
+
+// Grid columns: one per hex digit, or one per channel.
+export function getColumnCount(game) {
+  return game.format ? game.format.channels.length : game.rules.hexLength;
+}
+
+export function isEndless(game) {
+  return !Number.isFinite(game.maxAttempts);
+}
+
+// ----- Scoring -----
+
+export function getDigitDistance(guessChar, targetChar) {
+  const guessValue = parseInt(guessChar, 16);
+  const targetValue = parseInt(targetChar, 16);
+  return Math.abs(guessValue - targetValue);
+}
+
+export function getDigitStatus(rules, distance) {
+  if (distance === 0) return 'correct';
+  if (distance <= rules.closeDistance) return 'close';
+  if (distance <= rules.nearDistance) return 'near';
+  return 'wrong';
+}
+
+export function getStatusesForGuess(game, guess) {
+  const statuses = [];
+  for (let i = 0; i < game.rules.hexLength; i++) {
+    statuses.push(getDigitStatus(game.rules, getDigitDistance(guess[i], game.target[i])));
+  }
+  return statuses;
+}
+
+// 'up' when the target digit is higher, 'down' when lower, null when correct
+export function getDirectionsForGuess(game, guess) {
+  const directions = [];
+  for (let i = 0; i < game.rules.hexLength; i++) {
+    const delta = parseInt(game.target[i], 16) - parseInt(guess[i], 16);
+    directions.push(delta > 0 ? 'up' : delta < 0 ? 'down' : null);
+  }
+  return directions;
+}
+
+// Per RGB channel, how far the guess is above (+) or below (-) the
+// target, rounded to the nearest 10 so it stays a rough hint.
+export function getChannelOffsets(game, guess) {
+  return [0, 2, 4].map((i) => {
+    const delta = parseInt(expandHex(guess).substr(i, 2), 16) - parseInt(expandHex(game.target).substr(i, 2), 16);
+    return Math.round(delta / 10) * 10;
+  });
+}
+
+// How far off a channel may be for yellow and orange. Rule sets without
+// those bands (Expert) keep channels green or gray too.
+export function getChannelLimits(rules, channel) {
+  if (rules.nearDistance === 0) return { close: 0, near: 0 };
+  return { close: channel.close, near: channel.near };
+}
+
+// Channel grids compare each typed value with the target's value in the
+// same format. Matching the target's hex is always all green, so a gray
+// can't be lost on a meaningless hue.
+export function getChannelStatuses(game, guess, values) {
+  if (expandHex(guess) === expandHex(game.target)) {
+    return values.map(() => 'correct');
+  }
+  const targetValues = getChannelValues(game.format, game.target);
+  return game.format.channels.map((channel, i) => {
+    const { close, near } = getChannelLimits(game.rules, channel);
+    const hueDoesNotCount = channel.hue && targetValues[channel.chromaIndex] === 0;
+    const distance = hueDoesNotCount ? 0 : getChannelDistance(channel, values[i], targetValues[i]);
+    if (distance === 0) return 'correct';
+    if (distance <= close) return 'close';
+    if (distance <= near) return 'near';
+    return 'wrong';
+  });
+}
+
+// Same as getDirectionsForGuess, per channel; hue takes the shorter way
+// around the wheel.
+export function getChannelDirections(game, values) {
+  const targetValues = getChannelValues(game.format, game.target);
+  return game.format.channels.map((channel, i) => {
+    if (channel.hue && targetValues[channel.chromaIndex] === 0) return null;
+    let delta = targetValues[i] - values[i];
+    if (channel.hue) delta = ((delta + 540) % 360) - 180;
+    if (getChannelDistance(channel, values[i], targetValues[i]) === 0) return null;
+    return delta > 0 ? 'up' : 'down';
+  });
+}
+
+// CIEDE2000, so the error follows how different the colors look
+export function calculateColorError(guess, target) {
+  return getDeltaE2000(expandHex(guess), expandHex(target));
+}
+
+// Prefer statuses stored with the guess: server-scored daily guesses
+// can't be rescored locally until the target is revealed.
+export function getGuessStatuses(game, entry) {
+  if (Array.isArray(entry?.statuses) && entry.statuses.length === getColumnCount(game)) return entry.statuses;
+  if (!game.target) return [];
+  return entry.values ? getChannelStatuses(game, entry.hex, entry.values) : getStatusesForGuess(game, entry.hex);
+}
+
+export function getGuessDirections(game, entry) {
+  if (Array.isArray(entry?.directions) && entry.directions.length === getColumnCount(game)) return entry.directions;
+  if (!game.target) return [];
+  return entry.values ? getChannelDirections(game, entry.values) : getDirectionsForGuess(game, entry.hex);
+}
+
+export function getGuessChannels(game, entry) {
+  if (Array.isArray(entry?.channels) && entry.channels.length === 3) return entry.channels;
+  return game.target ? getChannelOffsets(game, entry.hex) : null;
+}
+
+// Hard mode: a guess may not contradict any earlier feedback. Green digits
+// stay as they were; yellow and orange digits were wrong as they were, so
+// they have to change, but stay within their band's distance of the earlier
+// digit. Channel grids apply the same to each channel. Returns the reason for
+// the first conflict, or null.
+export function getHardModeViolation(game, guess, values = null) {
+  for (const entry of game.guesses) {
+    const statuses = getGuessStatuses(game, entry);
+    for (let i = 0; i < getColumnCount(game); i++) {
+      const channel = values ? game.format.channels[i] : null;
+      const limits = channel
+        ? getChannelLimits(game.rules, channel)
+        : { close: game.rules.closeDistance, near: game.rules.nearDistance };
+      const maxDistance = { correct: 0, ...limits }[statuses[i]];
+      if (maxDistance === undefined) continue;
+      const distance = channel
+        ? getChannelDistance(channel, values[i], entry.values[i])
+        : getDigitDistance(guess[i], entry.hex[i]);
+      const mustChange = statuses[i] !== 'correct';
+      if (distance <= maxDistance && (distance > 0 || !mustChange)) continue;
+      const name = channel ? channel.label : `Digit ${i + 1}`;
+      const previous = channel ? formatChannelValue(channel, entry.values[i]) : entry.hex[i];
+      if (!mustChange) return `${name} must stay ${previous}`;
+      return distance === 0
+        ? `${name} must change from ${previous}`
+        : `${name} must be within ${maxDistance} of ${previous}`;
+    }
+  }
+  return null;
+}
+
+// Why a guess can't be submitted, or null when it can. Channel grids take
+// the typed values (guess is then ignored); hex grids take the digits.
+export function getGuessError(game, guess, values = null) {
+  if (game.format && !values) {
+    return `Pick a color or enter all ${game.format.label} values`;
+  }
+  const columns = getColumnCount(game);
+  if (!values && guess.length < columns) return 'Hex code is too short';
+  if (!values && (!/^[0-9A-F]+$/.test(guess) || guess.length !== columns)) {
+    return 'Invalid characters in hex code';
+  }
+  return game.hardMode ? getHardModeViolation(game, guess, values) : null;
+}
+
+// Scores a guess against the game's target without adding it. Same shape
+// as a /api/daily-guess answer, minus the daily-only fields.
+export function scoreGuess(game, guess, values = null) {
+  const statuses = values ? getChannelStatuses(game, guess, values) : getStatusesForGuess(game, guess);
+  const exact = values ? statuses.every((status) => status === 'correct') : guess === game.target;
+  const colorError = calculateColorError(guess, game.target);
+  // Close-enough wins: anything under the chosen ΔE counts as solved.
+  const closeEnough = !exact && game.closeEnoughDeltaE > 0 && colorError < game.closeEnoughDeltaE;
+  const solved = exact || closeEnough;
+  return {
+    statuses,
+    directions: values ? getChannelDirections(game, values) : getDirectionsForGuess(game, guess),
+    channels: getChannelOffsets(game, guess),
+    colorError,
+    solved,
+    closeEnough,
+    gameOver: solved || game.guesses.length + 1 >= game.maxAttempts
+  };
+}
+
+// Adds a scored guess. `result` is a scoreGuess() or /api/daily-guess answer.
+export function applyGuess(game, guess, result, values = null) {
+  const entry = {
+    hex: guess,
+    colorError: result.colorError,
+    statuses: result.statuses,
+    directions: result.directions,
+    channels: result.channels
+  };
+  if (values) entry.values = values;
+  if (result.closeEnough) entry.closeEnough = true;
+  return { ...game, guesses: [...game.guesses, entry] };
+}
+
+// Validates, scores and adds a guess in one go: { game, result }. Channel
+// grids pass the typed values and a null guess. Throws when the guess is
+// rejected or the game is already over.
+export function submitGuess(game, guess, values = null) {
+  if (isGameOver(game)) throw new Error('Game is over');
+  if (values && game.format) guess = channelValuesToHex(game.format, values);
+  const error = getGuessError(game, guess, values);
+  if (error) throw new Error(error);
+  const result = scoreGuess(game, guess, values);
+  return { game: applyGuess(game, guess, result, values), result };
+}
+
+// Zen games have no last row, so this is the only way to lose one.
+export function giveUpGame(game) {
+  return isGameOver(game) ? game : { ...game, gaveUp: true };
+}
+
+export function isGameWon(game) {
+  return game.guesses.some((entry) => entry && (entry.hex === game.target || entry.closeEnough ||
+    (entry.values && getGuessStatuses(game, entry).every((status) => status === 'correct'))));
+}
+
+export function isGameOver(game) {
+  return game.gaveUp || isGameWon(game) || game.guesses.length >= game.maxAttempts;
+}
+
+// The guess that won a close-enough game, or null for exact wins/losses.
+export function getCloseEnoughWin(game) {
+  return game.guesses.find((entry) => entry?.closeEnough) || null;
+}
+
+// ----- Saving -----
+
+// Plain JSON-safe copy: rule set and format by id, and Zen's endless
+// attempt count as null.
+export function serializeGame(game) {
+  return {
+    rules: game.rules.id,
+    target: game.target,
+    format: game.format ? game.format.id : null,
+    hardMode: game.hardMode,
+    closeEnoughDeltaE: game.closeEnoughDeltaE,
+    maxAttempts: Number.isFinite(game.maxAttempts) ? game.maxAttempts : null,
+    guesses: game.guesses.map((entry) => ({ ...entry })),
+    gaveUp: game.gaveUp
+  };
+}
+
+// serializeGame() output → game. Unknown rule sets and formats fall back to
+// Classic and hex, and guesses that aren't hex strings are dropped.
+export function restoreGame(data) {
+  const rules = getRuleSet(data?.rules);
+  const game = createGame({
+    rules,
+    target: typeof data?.target === 'string' ? data.target.toUpperCase() : null,
+    format: getInputFormat(data?.format),
+    hardMode: data?.hardMode,
+    closeEnoughDeltaE: Number(data?.closeEnoughDeltaE) || 0,
+    maxAttempts: Number.isInteger(data?.maxAttempts) && data.maxAttempts > 0 ? data.maxAttempts : rules.maxAttempts
+  });
+  const guesses = (Array.isArray(data?.guesses) ? data.guesses : [])
+    .filter((entry) => typeof entry?.hex === 'string' && /^[0-9A-F]+$/i.test(entry.hex))
+    .map((entry) => ({ ...entry, hex: entry.hex.toUpperCase() }));
+  return { ...game, guesses, gaveUp: !!data?.gaveUp };
+}
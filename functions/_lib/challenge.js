@@ -0,0 +1,34 @@
+// /functions/_lib/challenge.js
+// Friend challenge tokens: a target color plus the sender's result, sealed
+// with tokens.js so the /c/<token> link doesn't give the color away.
+import { HEX_COLOR_RE, MAX_ATTEMPTS } from './daily.js';
+import { openToken, sealToken } from './tokens.js';
+
+// finalError is CIEDE2000. Links made before that carry RGB distance and are
+// opened with errorMetric 'rgb' so the receiver compares like with like.
+const ERROR_METRIC = 'de2000';
+
+// Sender's result as claimed by their client. Challenges are for fun, so it
+// isn't signed like a daily receipt.
+export function readChallengeResult(body) {
+  const target = String(body?.target || '').toUpperCase();
+  const attempts = Number(body?.attempts);
+  const finalError = Number(body?.finalError);
+  if (!HEX_COLOR_RE.test(target)) return null;
+  if (!Number.isInteger(attempts) || attempts < 1 || attempts > MAX_ATTEMPTS) return null;
+  if (typeof body?.won !== 'boolean' || !Number.isFinite(finalError) || finalError < 0) return null;
+  return { target, attempts, won: body.won, finalError: Math.round(finalError * 10) / 10 };
+}
+
+export function createChallengeToken({ target, attempts, won, finalError }, salt) {
+  return sealToken(`${target}|${attempts}|${won ? 1 : 0}|${finalError}|${ERROR_METRIC}`, salt, 'challenge');
+}
+
+// { target, attempts, won, finalError, errorMetric } or null.
+export async function readChallengeToken(token, salts) {
+  const text = await openToken(token, salts, 'challenge');
+  if (text === null) return null;
+  const [target, attempts, won, finalError, errorMetric = 'rgb'] = text.split('|');
+  const result = readChallengeResult({ target, attempts, won: won === '1', finalError });
+  return result && { ...result, errorMetric };
+}
@@ -0,0 +1,77 @@
+// /functions/_lib/color-policy.js
+// Quality rules for daily colors. getDailyHex() in daily.js walks through
+// HMAC-derived candidates and keeps the first one these rules accept, so the
+// result is still fully determined by date + salt.
+//
+// Changing any value here changes every color from DAILY_POLICY.startDate
+// on, including days people have already played. Only edit it together with
+// a new startDate that is still in the future.
+//
+// Color math (Lab, CIEDE2000, HSL) comes from engine.mjs, the same module the
+// game itself scores with.
+import { hexToLab, hexToRgb, rgbToHsl } from '../../engine.mjs';
+
+export const DAILY_POLICY = {
+  // Days before this keep the plain first-three-bytes color they launched with.
+  startDate: '2026-10-19',
+  // HSL band every daily color must sit in (0..1).
+  minSaturation: 0.25,
+  minLightness: 0.18,
+  maxLightness: 0.85,
+  // CIE76 ΔE a new color must keep from each of the previous days' colors.
+  minDistance: 20,
+  lookbackDays: 7,
+  // The lookback only follows real colors within a period of this many days
+  // (counted from startDate). Days before the period stand in with their
+  // first in-band candidate, which needs no history, so a color never
+  // depends on more than a period's worth of earlier days. The catch: the
+  // first week of a period can, rarely, land near a color from the end of
+  // the previous one.
+  anchorDays: 28,
+  // Candidate triples to try before relaxing the distance rule (10 per HMAC).
+  maxCandidates: 80,
+};
+
+// Optional looks for specific weekdays (0 = Sunday, UTC). Each theme narrows
+// the HSL band; days without an entry use the default band above.
+export const COLOR_THEMES = {
+  pastel: { minSaturation: 0.35, minLightness: 0.72, maxLightness: 0.88 },
+  neon: { minSaturation: 0.85, minLightness: 0.42, maxLightness: 0.62 },
+};
+
+export const WEEKDAY_THEMES = {
+  0: 'pastel',
+  5: 'neon',
+};
+
+// sRGB (0..1) saturation and lightness; the bands above use the same scale.
+function getHsl(hex) {
+  const [, saturation, lightness] = rgbToHsl(hexToRgb(hex));
+  return { saturation: saturation / 100, lightness: lightness / 100 };
+}
+
+// CIE76: plain distance in Lab. Cheaper than CIEDE2000 and good enough to
+// keep consecutive days apart.
+export function getPerceptualDistance(hexA, hexB) {
+  const [l1, a1, b1] = hexToLab(hexA);
+  const [l2, a2, b2] = hexToLab(hexB);
+  return Math.sqrt((l2 - l1) ** 2 + (a2 - a1) ** 2 + (b2 - b1) ** 2);
+}
+
+export function getThemeForDay(dayStr) {
+  const weekday = new Date(`${dayStr}T00:00:00Z`).getUTCDay();
+  return COLOR_THEMES[WEEKDAY_THEMES[weekday]] || null;
+}
+
+// Saturation/lightness check, narrowed by the day's theme if it has one.
+export function isInColorBand(hex, theme = null) {
+  const band = { ...DAILY_POLICY, ...theme };
+  const { saturation, lightness } = getHsl(hex);
+  return saturation >= band.minSaturation &&
+    lightness >= band.minLightness &&
+    lightness <= band.maxLightness;
+}
+
+export function isFarFromRecent(hex, recentHexes) {
+  return recentHexes.every((recent) => getPerceptualDistance(hex, recent) >= DAILY_POLICY.minDistance);
+}
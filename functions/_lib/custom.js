@@ -0,0 +1,33 @@
+// /functions/_lib/custom.js
+// Custom puzzles from the /create page: a hand-picked color, an attempt
+// count and an optional caption, sealed with tokens.js for /play/<token>.
+import { HEX_COLOR_RE } from './daily.js';
+import { openToken, sealToken } from './tokens.js';
+
+export const CUSTOM_MIN_ATTEMPTS = 3;
+export const CUSTOM_MAX_ATTEMPTS = 8;
+export const CUSTOM_CAPTION_MAX_LENGTH = 80;
+
+// Validated { target, maxAttempts, caption } or null.
+export function readCustomPuzzle(body) {
+  const target = String(body?.target || '').replace(/^#/, '').toUpperCase();
+  const maxAttempts = Number(body?.maxAttempts);
+  const caption = typeof body?.caption === 'string' ? body.caption.trim() : '';
+  if (!HEX_COLOR_RE.test(target)) return null;
+  if (!Number.isInteger(maxAttempts) || maxAttempts < CUSTOM_MIN_ATTEMPTS || maxAttempts > CUSTOM_MAX_ATTEMPTS) return null;
+  if (caption.length > CUSTOM_CAPTION_MAX_LENGTH) return null;
+  return { target, maxAttempts, caption: caption || null };
+}
+
+export function createCustomToken({ target, maxAttempts, caption }, salt) {
+  return sealToken(`${target}|${maxAttempts}|${caption || ''}`, salt, 'custom');
+}
+
+// { target, maxAttempts, caption } or null. The caption is last and may
+// itself contain "|".
+export async function readCustomToken(token, salts) {
+  const text = await openToken(token, salts, 'custom');
+  if (text === null) return null;
+  const [target, maxAttempts, ...captionParts] = text.split('|');
+  return readCustomPuzzle({ target, maxAttempts, caption: captionParts.join('|') });
+}
@@ -0,0 +1,88 @@
+// /functions/_lib/daily-game.js
+// Daily game tokens: the server's copy of a daily game in progress, sealed
+// with tokens.js. /api/daily-start hands out the first one (counted against
+// the client's new-game limit), every /api/daily-guess answer carries a new
+// token with all guesses so far, and the next guess or reveal only counts
+// when it comes with that token. So the target is never more than one scored
+// row away and can't be asked for in a single request.
+//
+// Hard mode and memory mode are part of the game too. Both can change until
+// the first guess, like on the page, and are enforced by the server from
+// then on: hard mode by /api/daily-guess, memory mode's single reveal by
+// /api/daily-preview. Memory mode can't be turned on once the color has
+// been revealed.
+//
+// The token also remembers the last attempt whose color was revealed: each
+// attempt gets one reveal, handed out as a preview token that expires within
+// seconds and can only be used once (see /api/daily-preview).
+import { HEX_COLOR_RE, MAX_ATTEMPTS, isValidDayStr } from './daily.js';
+import { openToken, sealToken } from './tokens.js';
+
+const GAME_ID_RE = /^[0-9a-f]{16}$/;
+
+// Long enough to fetch the image right after asking for it, nothing more.
+export const PREVIEW_TTL_MS = 30 * 1000;
+
+// Random id for a new game; receipts and results are tied to it.
+function createGameId() {
+  return Array.from(crypto.getRandomValues(new Uint8Array(8)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function createDailyGameToken({ date, id, guesses, revealed, hardMode, memoryMode }, salt) {
+  const modes = `${hardMode ? 1 : 0}|${memoryMode ? 1 : 0}`;
+  return sealToken(`${date}|${id}|${guesses.join(',')}|${revealed}|${modes}`, salt, 'daily-game');
+}
+
+// { date, id, guesses, revealed, hardMode, memoryMode } or null. `revealed`
+// is the attempt number of the last reveal, 0 before the first one.
+export async function readDailyGameToken(token, salts) {
+  const text = await openToken(token, salts, 'daily-game');
+  if (text === null) return null;
+  const [date, id, list = '', revealed = '0', hardMode = '0', memoryMode = '0'] = text.split('|');
+  const guesses = list ? list.split(',') : [];
+  if (!isValidDayStr(date) || !GAME_ID_RE.test(id)) return null;
+  if (guesses.length > MAX_ATTEMPTS || !guesses.every((guess) => HEX_COLOR_RE.test(guess))) return null;
+  return {
+    date,
+    id,
+    guesses,
+    revealed: Number(revealed) || 0,
+    hardMode: hardMode === '1',
+    memoryMode: memoryMode === '1',
+  };
+}
+
+// A new, empty game for a date.
+export function createDailyGame(date) {
+  return { date, id: createGameId(), guesses: [], revealed: 0, hardMode: false, memoryMode: false };
+}
+
+// Memory mode for a request that asks for `requested`: the game's own once
+// it has a guess, otherwise the request's. null when the request turns it
+// on after a reveal.
+export function readMemoryMode(saved, requested) {
+  if (saved.guesses.length > 0) return saved.memoryMode;
+  if (requested === true && !saved.memoryMode && saved.revealed > 0) return null;
+  return requested === true;
+}
+
+// The game a request continues, from its token. null when the token is
+// missing, bad or belongs to another date.
+export async function readRequestGame(date, token, salts) {
+  const saved = await readDailyGameToken(token, salts);
+  return saved && saved.date === date ? saved : null;
+}
+
+// One reveal of one attempt in one game, valid until `expires` (ms).
+export function createPreviewToken({ date, id, attempt, expires }, salt) {
+  return sealToken(`${date}|${id}|${attempt}|${expires}`, salt, 'daily-preview');
+}
+
+// { date, id, attempt, expires } or null, including for expired tokens.
+export async function readPreviewToken(token, salts, now = Date.now()) {
+  const text = await openToken(token, salts, 'daily-preview');
+  if (text === null) return null;
+  const [date, id, attempt, expires] = text.split('|');
+  if (!isValidDayStr(date) || !GAME_ID_RE.test(id) || !(Number(expires) > now)) return null;
+  return { date, id, attempt: Number(attempt), expires: Number(expires) };
+}
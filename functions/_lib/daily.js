@@ -0,0 +1,212 @@
+// /functions/_lib/daily.js
+// Shared helpers for the daily Pages Functions. No route handlers live here,
+// so nothing in this file is exposed as an endpoint.
+import { RULE_SETS, rgbToHex } from '../../engine.mjs';
+import {
+  DAILY_POLICY,
+  getThemeForDay,
+  isFarFromRecent,
+  isInColorBand,
+} from './color-policy.js';
+
+// Earliest date the archive will serve. Anything before this predates the
+// daily puzzle and would just be an arbitrary HMAC color.
+// Keep in sync with FIRST_PUZZLE_DATE in app.js.
+export const FIRST_PUZZLE_DATE = '2025-09-01';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sequential puzzle number: FIRST_PUZZLE_DATE is #1, one per UTC day after
+// that. Keep in sync with getPuzzleNumber() in app.js.
+export function getPuzzleNumber(dayStr) {
+  const days = Math.round((Date.parse(`${dayStr}T00:00:00Z`) - Date.parse(`${FIRST_PUZZLE_DATE}T00:00:00Z`)) / DAY_MS);
+  return days + 1;
+}
+
+// Daily games are always played with the classic rules and 5 attempts,
+// scored by engine.mjs just like on the client.
+export const DAILY_RULES = RULE_SETS.classic;
+export const MAX_ATTEMPTS = DAILY_RULES.maxAttempts;
+
+export const HEX_COLOR_RE = /^[0-9A-F]{6}$/;
+
+// Block direct navigations (address-bar visits). Returns a 403 response to
+// send back, or null when the request came from the app's own fetch().
+export function blockDirectNavigation(request) {
+  const mode  = request.headers.get('Sec-Fetch-Mode');   // 'navigate' on URL bar
+  const dest  = request.headers.get('Sec-Fetch-Dest');   // 'document' on URL bar
+  const accept = request.headers.get('Accept') || '';
+
+  if (mode === 'navigate' || dest === 'document' || accept.includes('text/html')) {
+    return new Response('NO CHEATING!', {
+      status: 403,
+      headers: { 'Cache-Control': 'no-store' },
+    });
+  }
+  return null;
+}
+
+// Current UTC day as both a Date (midnight) and a YYYY-MM-DD string.
+export function getUtcToday(now = new Date()) {
+  const utcDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return { utcDate, todayStr: utcDate.toISOString().slice(0, 10) };
+}
+
+// Strict YYYY-MM-DD that round-trips through Date (rejects 2025-02-30 etc).
+export function isValidDayStr(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+}
+
+// A puzzle date the server is willing to score: launched, and not in the future.
+export function isPlayableDayStr(value, todayStr) {
+  return isValidDayStr(value) && value >= FIRST_PUZZLE_DATE && value <= todayStr;
+}
+
+// === Salt versions ===
+// SECRET_SALT_V1 (or the original SECRET_SALT) covers every day from launch.
+// To rotate, add SECRET_SALT_V2 plus SECRET_SALT_V2_FROM=YYYY-MM-DD, a date
+// that hasn't started yet; V3 and on follow the same pattern. Each date keeps
+// the salt that was active for it, so past colors, saves and receipts never
+// change. Returns null when no salt is set or a rotation is misconfigured.
+export function getSalts(env) {
+  const first = env.SECRET_SALT_V1 || env.SECRET_SALT;
+  if (!first) return null;
+
+  const salts = [{ version: 1, from: FIRST_PUZZLE_DATE, secret: first }];
+  for (let version = 2; env[`SECRET_SALT_V${version}`]; version++) {
+    const from = env[`SECRET_SALT_V${version}_FROM`];
+    if (!isValidDayStr(from) || from <= salts[salts.length - 1].from) return null;
+    salts.push({ version, from, secret: env[`SECRET_SALT_V${version}`] });
+  }
+  return salts;
+}
+
+// The salt entry ({ version, from, secret }) that was active on a date.
+export function getSaltForDate(dayStr, salts) {
+  for (let i = salts.length - 1; i > 0; i--) {
+    if (dayStr >= salts[i].from) return salts[i];
+  }
+  return salts[0];
+}
+
+export function missingSaltResponse() {
+  return new Response('Missing or misconfigured SECRET_SALT', { status: 500 });
+}
+
+function shiftDayStr(dayStr, days) {
+  return new Date(Date.parse(`${dayStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Imported keys are reused; the daily color chain signs many messages.
+const hmacKeys = new Map();
+
+// Raw HMAC-SHA256(message, secret) bytes.
+export async function hmacSha256(secret, message) {
+  let key = hmacKeys.get(secret);
+  if (!key) {
+    key = await crypto.subtle.importKey(
+      "raw", new TextEncoder().encode(secret),
+      { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+    );
+    hmacKeys.set(secret, key);
+  }
+  return new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message)));
+}
+
+// How long a DAILY_SCHEDULE entry (and every policy color worked out from
+// it) may be reused before it's read again. Colors after a scheduled day
+// depend on it, so an edit reaches every isolate within this time instead of
+// each one serving whatever it saw first.
+export const SCHEDULE_CACHE_SECONDS = 300;
+
+// Policy colors per salt configuration, by date: { hex, expires }, where hex
+// is a promise, so concurrent requests share the work.
+const policyHexCache = new Map();
+
+// === Daily color ===
+// Before DAILY_POLICY.startDate: HMAC(date, salt) → first 3 bytes → hex,
+// using the salt active on that date (see getSalts).
+// From then on, candidates are read three bytes at a time from HMAC(date)
+// and then HMAC("reroll|date|n"), and the first one that passes the color
+// policy (see color-policy.js) wins.
+// `getScheduledHex(day)` resolves to a day's hand-picked color or null (see
+// schedule.js), so the lookback compares against the colors players saw.
+export async function getDailyHex(dayStr, salts, getScheduledHex = async () => null) {
+  if (dayStr < DAILY_POLICY.startDate) {
+    const sig = await hmacSha256(getSaltForDate(dayStr, salts).secret, dayStr);
+    return rgbToHex([sig[0], sig[1], sig[2]]);
+  }
+
+  const cacheKey = salts.map(({ version, from, secret }) => `${version}|${from}|${secret}`).join('\n');
+  let cache = policyHexCache.get(cacheKey);
+  if (!cache) {
+    cache = new Map();
+    policyHexCache.set(cacheKey, cache);
+  }
+
+  const now = Date.now();
+  let entry = cache.get(dayStr);
+  if (!entry || entry.expires <= now) {
+    entry = { hex: pickPolicyHex(dayStr, salts, getScheduledHex), expires: now + SCHEDULE_CACHE_SECONDS * 1000 };
+    entry.hex.catch(() => cache.get(dayStr) === entry && cache.delete(dayStr));
+    cache.set(dayStr, entry);
+  }
+  return entry.hex;
+}
+
+// First day of the DAILY_POLICY.anchorDays period a policy day falls in.
+function getPeriodStart(dayStr) {
+  const days = Math.round((Date.parse(`${dayStr}T00:00:00Z`) - Date.parse(`${DAILY_POLICY.startDate}T00:00:00Z`)) / DAY_MS);
+  return shiftDayStr(DAILY_POLICY.startDate, days - (days % DAILY_POLICY.anchorDays));
+}
+
+async function pickPolicyHex(dayStr, salts, getScheduledHex) {
+  const periodStart = getPeriodStart(dayStr);
+  const recent = [];
+  for (let i = 1; i <= DAILY_POLICY.lookbackDays; i++) {
+    const day = shiftDayStr(dayStr, -i);
+    if (day < FIRST_PUZZLE_DATE) break;
+    const scheduled = await getScheduledHex(day);
+    if (scheduled) {
+      recent.push(scheduled);
+      continue;
+    }
+    // Pre-policy days are cheap and final, so they always count as they are.
+    const isAnchor = day >= DAILY_POLICY.startDate && day < periodStart;
+    recent.push(isAnchor ? await pickCandidate(day, salts, []) : await getDailyHex(day, salts, getScheduledHex));
+  }
+  return pickCandidate(dayStr, salts, recent);
+}
+
+async function pickCandidate(dayStr, salts, recent) {
+  const { secret } = getSaltForDate(dayStr, salts);
+  const theme = getThemeForDay(dayStr);
+  let firstCandidate = null;
+  let firstInBand = null;
+  let tried = 0;
+  for (let round = 0; tried < DAILY_POLICY.maxCandidates; round++) {
+    const sig = await hmacSha256(secret, round === 0 ? dayStr : `reroll|${dayStr}|${round}`);
+    for (let i = 0; i + 3 <= sig.length && tried < DAILY_POLICY.maxCandidates; i += 3, tried++) {
+      const hex = rgbToHex([sig[i], sig[i + 1], sig[i + 2]]);
+      firstCandidate ??= hex;
+      if (!isInColorBand(hex, theme)) continue;
+      if (isFarFromRecent(hex, recent)) return hex;
+      firstInBand ??= hex;
+    }
+  }
+  // Practically unreachable; still deterministic if it happens.
+  return firstInBand || firstCandidate;
+}
+
+export function jsonResponse(payload, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: {
+      "content-type": "application/json; charset=utf-8",
+      "cache-control": "no-store",
+      ...headers,
+    },
+  });
+}
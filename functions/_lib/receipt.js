@@ -0,0 +1,150 @@
+// /functions/_lib/receipt.js
+// Signed completion receipts for daily games.
+//
+// Two signatures come out of a finished game:
+// - the receipt: HMAC over date, game id, rule set, hard and memory mode,
+//   every guessed hex and the outcome. It stays with the player's saved game and proves the
+//   exact game that was played; the game id (from its daily game token) lets
+//   the global stats count each game once.
+// - the verification code: a short HMAC over what the share text shows
+//   (date, rule set, the hard mode `*`, the "Memory" label and the emoji
+//   grid). It can be checked
+//   from a pasted result alone, without the guesses, which would spoil the
+//   answer.
+// Both messages are prefixed so they can never collide with the bare
+// YYYY-MM-DD messages used to derive daily colors.
+import { RULE_SETS } from '../../engine.mjs';
+import { getPuzzleNumber, hmacSha256, isValidDayStr, MAX_ATTEMPTS } from './daily.js';
+
+const RECEIPT_VERSION = 'v3';
+
+// One letter per status; the grid is signed as e.g. "XXYOXG/GGGGGG".
+const STATUS_LETTERS = { correct: 'G', close: 'Y', near: 'O', wrong: 'X' };
+const EMOJI_STATUSES = { '🟩': 'correct', '🟨': 'close', '🟧': 'near', '⬜': 'wrong' };
+
+// Crockford base32: no I/L/O/U, so codes survive being retyped.
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function gridToString(rows) {
+  return rows.map((statuses) => statuses.map((status) => STATUS_LETTERS[status] || 'X').join('')).join('/');
+}
+
+// "hard|memory", "normal|plain", ...; v2 didn't sign memory mode yet.
+function getModesText({ hardMode, memoryMode }, version) {
+  const hard = hardMode ? 'hard' : 'normal';
+  return version === 'v2' ? hard : `${hard}|${memoryMode ? 'memory' : 'plain'}`;
+}
+
+// Full receipt for a finished game. `version` 'v2' recomputes receipts from
+// before memory mode was signed.
+export async function signReceipt({ date, id, rules, hardMode, memoryMode, guesses, won, secret, version = RECEIPT_VERSION }) {
+  const modes = getModesText({ hardMode, memoryMode }, version);
+  const message = `receipt|${version}|${date}|${id}|${rules}|${modes}|${guesses.join(',')}|${won ? 'won' : 'lost'}`;
+  const signature = toHex(await hmacSha256(secret, message));
+  return { version, date, id, rules, hardMode, memoryMode, guesses, won, signature };
+}
+
+// Short code printed in the share text, formatted "ABCD-EFGH" (40 bits).
+// Older versions are recomputed too, so older shares still check out: 'v2'
+// signed no memory mode, 'v1' only the date and grid.
+export async function getVerificationCode({ date, rules, hardMode, memoryMode, rows, secret, version = RECEIPT_VERSION }) {
+  const message = version === 'v1'
+    ? `code|v1|${date}|${gridToString(rows)}`
+    : `code|${version}|${date}|${rules}|${getModesText({ hardMode, memoryMode }, version)}|${gridToString(rows)}`;
+  const sig = await hmacSha256(secret, message);
+
+  let bits = 0;
+  let value = 0;
+  let code = '';
+  for (let i = 0; code.length < 8; i++) {
+    value = ((value << 8) | sig[i]) & 0xFFFF;
+    bits += 8;
+    while (bits >= 5 && code.length < 8) {
+      code += CODE_ALPHABET[(value >> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Pull the date, rule set, hard mode, emoji grid and code out of pasted
+// share text. Returns null when the text doesn't look like a daily result.
+// The puzzle number in the header ("HexGuessr #412 - Daily") is optional,
+// since older shares lack it, but when present it has to agree with the
+// date. A rule set other than Classic and memory mode show up in the
+// header's variants ("Daily (Expert, Memory)"); hard mode is the `*` in
+// "3/5* Attempts". A speedrun time after the attempts ("· 1:23.4") is
+// returned as `time`, but nothing signs it: the clock runs in the browser.
+export function parseShareText(text) {
+  const header = typeof text === 'string'
+    ? text.match(/HexGuessr\s*(?:#(\d+)\s*)?-\s*Daily(?:\s*\(([^)\n]*)\))?/i)
+    : null;
+  if (!header) return null;
+
+  const variants = (header[2] || '').split(',').map((variant) => variant.trim().toLowerCase());
+  const rules = Object.values(RULE_SETS).find((ruleSet) => variants.includes(ruleSet.label.toLowerCase()))?.id || 'classic';
+  const memoryMode = variants.includes('memory');
+  const attemptsLine = text.match(/^.*\bAttempts\b.*$/m)?.[0] || '';
+  const hardMode = /\d+\/\d+\*/.test(attemptsLine);
+  const time = attemptsLine.match(/·\s*(\d+:\d{2}\.\d)\b/)?.[1] || null;
+
+  const dateMatch = text.match(/\b([A-Z][a-z]{2})\/(\d{2})\/(\d{4})\b/);
+  const codeMatch = text.match(/Verify:\s*([0-9A-Z]{4})-?([0-9A-Z]{4})/i);
+  if (!dateMatch || !codeMatch) return null;
+
+  const monthIndex = MONTH_LABELS.indexOf(dateMatch[1]);
+  const date = `${dateMatch[3]}-${String(monthIndex + 1).padStart(2, '0')}-${dateMatch[2]}`;
+  if (monthIndex < 0 || !isValidDayStr(date)) return null;
+  if (header[1] !== undefined && Number(header[1]) !== getPuzzleNumber(date)) return null;
+
+  const rows = [];
+  for (const line of text.split(/\r?\n/)) {
+    // Some apps add variation selectors after emoji when pasting. Directional
+    // shares follow each row with arrows (⬆⬇➖), which aren't part of the grid.
+    const symbols = Array.from(line.replace(/[\uFE0E\uFE0F\s\u2B06\u2B07\u2796]/g, ''));
+    if (symbols.length === 0 || !symbols.every((symbol) => symbol in EMOJI_STATUSES)) continue;
+    if (symbols.length !== 6) return null;
+    rows.push(symbols.map((symbol) => EMOJI_STATUSES[symbol]));
+  }
+
+  const code = `${codeMatch[1]}-${codeMatch[2]}`.toUpperCase()
+    .replace(/O/g, '0').replace(/[IL]/g, '1');
+  return { date, rules, hardMode, memoryMode, time, rows, code };
+}
+
+// Whether a parsed grid is a legal finished game: only the last row may be
+// all green, and a game without a green row must have used every attempt.
+export function getGridOutcome(rows) {
+  if (rows.length === 0 || rows.length > MAX_ATTEMPTS) return null;
+  const solvedIndex = rows.findIndex((statuses) => statuses.every((status) => status === 'correct'));
+  if (solvedIndex !== -1 && solvedIndex !== rows.length - 1) return null;
+  if (solvedIndex === -1 && rows.length !== MAX_ATTEMPTS) return null;
+  return { won: solvedIndex !== -1, attempts: rows.length };
+}
+
+// Recompute a receipt's signature. Returns false for anything malformed,
+// including v1 receipts, which didn't sign the game, rule set or hard mode.
+// v2 receipts (no memory mode) still count.
+export async function isReceiptValid(receipt, secret) {
+  if (!receipt || !['v2', RECEIPT_VERSION].includes(receipt.version) || typeof receipt.signature !== 'string') return false;
+  if (!Array.isArray(receipt.guesses) || typeof receipt.won !== 'boolean') return false;
+  if (typeof receipt.id !== 'string' || typeof receipt.rules !== 'string' || typeof receipt.hardMode !== 'boolean') return false;
+  if (receipt.version !== 'v2' && typeof receipt.memoryMode !== 'boolean') return false;
+  const expected = await signReceipt({
+    date: receipt.date,
+    id: receipt.id,
+    rules: receipt.rules,
+    hardMode: receipt.hardMode,
+    memoryMode: receipt.memoryMode,
+    guesses: receipt.guesses,
+    won: receipt.won,
+    secret,
+    version: receipt.version,
+  });
+  return expected.signature === receipt.signature;
+}
@@ -0,0 +1,51 @@
+// /functions/_lib/schedule.js
+// Hand-picked colors for holidays and events. A scheduled day skips the
+// HMAC color (and the color policy) entirely and can carry a title and
+// caption, which the client shows once the game is over.
+//
+// Entries come from the optional DAILY_SCHEDULE KV namespace first (one key
+// per date, value like the objects below), then from the bundled list.
+// Only schedule days that haven't been played yet: changing a past day's
+// color breaks saved games and receipts for it.
+import { HEX_COLOR_RE, SCHEDULE_CACHE_SECONDS, getDailyHex, getSalts } from './daily.js';
+
+export const DAILY_SCHEDULE = {
+  '2026-10-31': { hex: 'FF7518', title: 'Halloween', caption: 'Pumpkin orange. Boo!' },
+  '2026-12-25': { hex: 'B3000C', title: 'Christmas', caption: 'Santa suit red.' },
+  '2027-01-01': { hex: 'D4AF37', title: "New Year's Day", caption: 'Metallic gold for a fresh start.' },
+  '2027-03-17': { hex: '0B6623', title: "St. Patrick's Day", caption: 'Forest green for the luck of the Irish.' },
+};
+
+// Scheduled entry for a day, or null. Malformed entries are ignored so a bad
+// KV value falls back to the normal color instead of breaking the day.
+async function getScheduledEntry(dayStr, env) {
+  let entry = null;
+  if (env.DAILY_SCHEDULE) {
+    try {
+      entry = await env.DAILY_SCHEDULE.get(dayStr, { type: 'json', cacheTtl: SCHEDULE_CACHE_SECONDS });
+    } catch {
+      entry = null;
+    }
+  }
+  entry = entry || DAILY_SCHEDULE[dayStr] || null;
+
+  const hex = typeof entry?.hex === 'string' ? entry.hex.replace(/^#/, '').toUpperCase() : '';
+  if (!HEX_COLOR_RE.test(hex)) return null;
+  return {
+    hex,
+    title: typeof entry.title === 'string' && entry.title ? entry.title : null,
+    caption: typeof entry.caption === 'string' && entry.caption ? entry.caption : null,
+  };
+}
+
+// The puzzle for a day: { hex, title, caption }. Every endpoint that needs
+// the target goes through here so a scheduled color is scored consistently.
+// Callers check getSalts(env) first.
+export async function getDailyPuzzle(dayStr, env) {
+  const scheduled = await getScheduledEntry(dayStr, env);
+  if (scheduled) return scheduled;
+  // Days after a scheduled one keep their distance from the scheduled color,
+  // not from the policy color it replaced.
+  const getScheduledHex = async (day) => (await getScheduledEntry(day, env))?.hex ?? null;
+  return { hex: await getDailyHex(dayStr, getSalts(env), getScheduledHex), title: null, caption: null };
+}
@@ -0,0 +1,26 @@
+// /functions/_lib/shell.js
+// Serves the normal app shell for token routes (/c/<token>, /play/<token>).
+// index.html uses relative asset paths so it also opens from file://; under
+// a nested path those would resolve to /c/... or /play/..., so the few that
+// matter are made root-relative on the way out. The client reads the token
+// from the URL itself.
+const ROOT_ASSETS = [
+  ['link[rel="stylesheet"][href="styles.css"]', 'href'],
+  ['script[src="engine.js"]', 'src'],
+  ['script[src="app.js"]', 'src'],
+  ['img[src="favicon.png"]', 'src'],
+];
+
+export async function serveAppShell(request, env) {
+  const shell = await env.ASSETS.fetch(new URL('/', request.url));
+
+  let rewriter = new HTMLRewriter();
+  for (const [selector, attribute] of ROOT_ASSETS) {
+    rewriter = rewriter.on(selector, {
+      element(el) {
+        el.setAttribute(attribute, `/${el.getAttribute(attribute)}`);
+      },
+    });
+  }
+  return rewriter.transform(shell);
+}
@@ -0,0 +1,107 @@
+// /functions/_lib/stats.js
+// Daily game state the server has to remember, in the DAILY_STATS KV
+// namespace: global stats, the new-game limit and spent previews.
+// - `game:<date>:<id>`: a recorded game, so the same game is only ever
+//   counted once.
+// - `totals:<date>:<shard>`: running totals per date (wins per attempt,
+//   losses, summed final color error), updated as each result comes in. KV
+//   has no atomic increments and takes about one write per second per key,
+//   so the totals are split over TOTAL_SHARDS keys by game id. They live in
+//   the keys' metadata, so daily-stats reads a whole day with one list().
+// - `quota:<day>:<client>`: new daily games per client and UTC day. A client
+//   is an HMAC of its IP with the day's salt, never the IP itself, and the
+//   counts expire a day later.
+// - `preview:<date>:<id>:<attempt>`: a reveal preview that has been served,
+//   so each one is served once.
+//
+// Without the binding there is no way to limit new games, so the daily
+// endpoints refuse to start one (see missingStatsResponse).
+import { getSaltForDate, hmacSha256 } from './daily.js';
+
+// Plenty for a day of archive binging; a script minting finished games to
+// skew the distribution runs out quickly.
+export const NEW_GAMES_PER_DAY = 100;
+
+const TOTAL_SHARDS = 16;
+// Results only matter while a day is recent; let KV clean up after itself.
+const STATS_TTL_SECONDS = 90 * 24 * 60 * 60;
+const QUOTA_TTL_SECONDS = 2 * 24 * 60 * 60;
+// Outlives every preview token (KV won't expire anything sooner anyway).
+const PREVIEW_TTL_SECONDS = 60;
+
+export function missingStatsResponse() {
+  return new Response('Missing DAILY_STATS binding', { status: 503 });
+}
+
+// { won: [games won in 1, 2, ... attempts], lost, errorSum }
+function emptyTotals(maxAttempts) {
+  return { won: Array(maxAttempts).fill(0), lost: 0, errorSum: 0 };
+}
+
+function addTotals(into, totals) {
+  if (!totals || !Array.isArray(totals.won)) return into;
+  totals.won.forEach((count, i) => {
+    if (i < into.won.length) into.won[i] += Number(count) || 0;
+  });
+  into.lost += Number(totals.lost) || 0;
+  into.errorSum += Number(totals.errorSum) || 0;
+  return into;
+}
+
+// Adds a finished game to its date's totals. Returns false when that game
+// was already recorded. Two results landing on the same shard at the same
+// moment can still overwrite each other's update; spread over the shards
+// that's rare enough not to move the distribution.
+export async function recordResult(kv, { date, gameId, attempts, won, finalError, maxAttempts }) {
+  const gameKey = `game:${date}:${gameId}`;
+  if ((await kv.get(gameKey)) !== null) return false;
+  await kv.put(gameKey, '', { expirationTtl: STATS_TTL_SECONDS });
+
+  const shardKey = `totals:${date}:${parseInt(gameId.slice(0, 2), 16) % TOTAL_SHARDS}`;
+  const { metadata } = await kv.getWithMetadata(shardKey);
+  const totals = addTotals(emptyTotals(maxAttempts), metadata);
+  if (won) totals.won[attempts - 1]++;
+  else totals.lost++;
+  totals.errorSum = Math.round((totals.errorSum + finalError) * 10) / 10;
+  await kv.put(shardKey, '', { metadata: totals, expirationTtl: STATS_TTL_SECONDS });
+  return true;
+}
+
+// One date's totals, all shards added up.
+export async function readTotals(kv, date, maxAttempts) {
+  const { keys } = await kv.list({ prefix: `totals:${date}:` });
+  return keys.reduce((totals, { metadata }) => addTotals(totals, metadata), emptyTotals(maxAttempts));
+}
+
+// Counts a new daily game for the requesting client. Returns false once the
+// client has started NEW_GAMES_PER_DAY games today. A write KV turns down
+// (too many for one key at once) counts as over the limit too, so a burst
+// of parallel requests can't all slip in on the same count.
+export async function takeNewGameQuota(kv, request, salts, todayStr) {
+  const ip = request.headers.get('CF-Connecting-IP') || 'local';
+  const sig = await hmacSha256(getSaltForDate(todayStr, salts).secret, `client|${todayStr}|${ip}`);
+  const client = Array.from(sig.slice(0, 16), (b) => b.toString(16).padStart(2, '0')).join('');
+
+  const key = `quota:${todayStr}:${client}`;
+  const count = Number(await kv.get(key)) || 0;
+  if (count >= NEW_GAMES_PER_DAY) return false;
+  try {
+    await kv.put(key, String(count + 1), { expirationTtl: QUOTA_TTL_SECONDS });
+  } catch {
+    return false;
+  }
+  return true;
+}
+
+// Marks one attempt's preview as served. Returns false when it already was.
+// Like the quota, a write KV turns down counts as already served.
+export async function takePreview(kv, { date, id, attempt }) {
+  const key = `preview:${date}:${id}:${attempt}`;
+  if ((await kv.get(key)) !== null) return false;
+  try {
+    await kv.put(key, '', { expirationTtl: PREVIEW_TTL_SECONDS });
+  } catch {
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,62 @@
+// /functions/_lib/tokens.js
+// Opaque link tokens (friend challenges, custom puzzles). The text is AES-GCM
+// encrypted with a key derived from the newest salt, so a link never shows
+// its color in plain text, and tampered tokens fail to decrypt.
+//
+// Layout (base64url): [salt version][12-byte IV][ciphertext + tag]. The salt
+// version byte lets old links keep working after a SECRET_SALT rotation.
+import { hmacSha256 } from './daily.js';
+
+const TOKEN_RE = /^[A-Za-z0-9_-]{20,600}$/;
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+// One AES key per salt and purpose; the HMAC prefix keeps it apart from every
+// other message signed with the same salt, and a challenge token can't be
+// opened as a custom puzzle (or the other way around).
+async function getTokenKey(secret, purpose) {
+  const raw = await hmacSha256(secret, `${purpose}-key|v1`);
+  return crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+}
+
+export async function sealToken(text, salt, purpose) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await getTokenKey(salt.secret, purpose);
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text))
+  );
+
+  const bytes = new Uint8Array(1 + iv.length + ciphertext.length);
+  bytes[0] = salt.version;
+  bytes.set(iv, 1);
+  bytes.set(ciphertext, 1 + iv.length);
+  return toBase64Url(bytes);
+}
+
+// The sealed text, or null for anything malformed, tampered with, or from an
+// unknown salt version.
+export async function openToken(token, salts, purpose) {
+  if (typeof token !== 'string' || !TOKEN_RE.test(token)) return null;
+  try {
+    const bytes = fromBase64Url(token);
+    const salt = salts.find((entry) => entry.version === bytes[0]);
+    if (!salt || bytes.length < 1 + 12 + 16) return null;
+
+    const key = await getTokenKey(salt.secret, purpose);
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: bytes.slice(1, 13) }, key, bytes.slice(13)
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    return null;
+  }
+}
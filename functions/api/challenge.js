@@ -0,0 +1,46 @@
+// /functions/api/challenge.js
+// Friend challenges: POST turns a finished game into an opaque token for a
+// /c/<token> link, GET ?token= opens one. Challenge games are scored in the
+// browser like Unlimited, so opening a token returns the target.
+import {
+  blockDirectNavigation,
+  getSalts,
+  jsonResponse,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import { createChallengeToken, readChallengeResult, readChallengeToken } from '../_lib/challenge.js';
+
+export const onRequestPost = async ({ request, env }) => {
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const result = readChallengeResult(body);
+  if (!result) {
+    return jsonResponse({ error: 'Invalid challenge' }, { status: 400 });
+  }
+
+  // New links always use the newest salt.
+  const token = await createChallengeToken(result, salts[salts.length - 1]);
+  return jsonResponse({ token });
+};
+
+export const onRequestGet = async ({ request, env }) => {
+  const blocked = blockDirectNavigation(request);
+  if (blocked) return blocked;
+
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+
+  const challenge = await readChallengeToken(new URL(request.url).searchParams.get('token'), salts);
+  if (!challenge) {
+    return jsonResponse({ error: 'Invalid challenge' }, { status: 400 });
+  }
+  return jsonResponse(challenge);
+};
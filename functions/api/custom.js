@@ -0,0 +1,45 @@
+// /functions/api/custom.js
+// Custom puzzles: POST turns a color picked on /create into an opaque token
+// for a /play/<token> link, GET ?token= opens one. Like challenges, custom
+// games are scored in the browser, so opening a token returns the target.
+import {
+  blockDirectNavigation,
+  getSalts,
+  jsonResponse,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import { createCustomToken, readCustomPuzzle, readCustomToken } from '../_lib/custom.js';
+
+export const onRequestPost = async ({ request, env }) => {
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const puzzle = readCustomPuzzle(body);
+  if (!puzzle) {
+    return jsonResponse({ error: 'Invalid puzzle' }, { status: 400 });
+  }
+
+  const token = await createCustomToken(puzzle, salts[salts.length - 1]);
+  return jsonResponse({ token });
+};
+
+export const onRequestGet = async ({ request, env }) => {
+  const blocked = blockDirectNavigation(request);
+  if (blocked) return blocked;
+
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+
+  const puzzle = await readCustomToken(new URL(request.url).searchParams.get('token'), salts);
+  if (!puzzle) {
+    return jsonResponse({ error: 'Invalid puzzle' }, { status: 400 });
+  }
+  return jsonResponse(puzzle);
+};
@@ -1,37 +1,68 @@
 // /functions/api/daily-color.js
-export const onRequestGet = async ({ request, env }) => {
-  // Block direct navigations (address-bar visits)
-  const mode  = request.headers.get('Sec-Fetch-Mode');   // 'navigate' on URL bar
-  const dest  = request.headers.get('Sec-Fetch-Dest');   // 'document' on URL bar
-  const accept = request.headers.get('Accept') || '';
+import {
+  FIRST_PUZZLE_DATE,
+  blockDirectNavigation,
+  getPuzzleNumber,
+  getSaltForDate,
+  getSalts,
+  getUtcToday,
+  isValidDayStr,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import { getDailyPuzzle } from '../_lib/schedule.js';
 
-  if (mode === 'navigate' || dest === 'document' || accept.includes('text/html')) {
-    return new Response('NO CHEATING!', {
-      status: 403,
-      headers: { 'Cache-Control': 'no-store' },
-    });
-  }
+export const onRequestGet = async ({ request, env }) => {
+  const blocked = blockDirectNavigation(request);
+  if (blocked) return blocked;
 
-  const secret = env.SECRET_SALT;
-  if (!secret) return new Response('Missing SECRET_SALT', { status: 500 });
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
 
-  // === HMAC(date, secret) → first 3 bytes → hex ===
   const now = new Date();
-  const utcDate = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
-  const dayStr = utcDate.toISOString().slice(0, 10);
+  const { utcDate, todayStr } = getUtcToday(now);
 
-  const key = await crypto.subtle.importKey(
-    "raw", new TextEncoder().encode(secret),
-    { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
-  );
-  const sig = new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(dayStr)));
-  const [r,g,b] = [sig[0], sig[1], sig[2]];
-  const hex = ((1<<24) + (r<<16) + (g<<8) + b).toString(16).slice(1).toUpperCase();
+  // Optional ?date=YYYY-MM-DD for archive play. Strictly past dates: today's
+  // color is only ever scored server-side (see daily-guess.js), and a future
+  // date would hand out tomorrow's color early.
+  const requestedDate = new URL(request.url).searchParams.get('date');
+  if (requestedDate !== null) {
+    if (!isValidDayStr(requestedDate) || requestedDate >= todayStr || requestedDate < FIRST_PUZZLE_DATE) {
+      return new Response('Invalid date', {
+        status: 400,
+        headers: { 'Cache-Control': 'no-store' },
+      });
+    }
+
+    const { hex, title, caption } = await getDailyPuzzle(requestedDate, env);
+    // Past colors never change.
+    const seconds = 24*60*60;
+    return new Response(JSON.stringify({
+      hex,
+      date: requestedDate,
+      number: getPuzzleNumber(requestedDate),
+      saltVersion: getSaltForDate(requestedDate, salts).version,
+      title,
+      caption,
+    }), {
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "cache-control": `public, max-age=${seconds}, s-maxage=${seconds}`,
+        "vary": "Sec-Fetch-Mode, Sec-Fetch-Dest, Accept",
+      },
+    });
+  }
 
+  // Today's puzzle: metadata only. The hex (and a scheduled day's title and
+  // caption) stay on the server until the game ends; POST /api/daily-guess
+  // reveals them on the final guess.
   const nextMidnight = new Date(utcDate.getTime() + 24*60*60*1000);
   const seconds = Math.max(1, Math.floor((nextMidnight - now) / 1000));
 
-  return new Response(JSON.stringify({ hex, date: dayStr }), {
+  return new Response(JSON.stringify({
+    date: todayStr,
+    number: getPuzzleNumber(todayStr),
+    saltVersion: getSaltForDate(todayStr, salts).version,
+  }), {
     headers: {
       "content-type": "application/json; charset=utf-8",
       "cache-control": `public, max-age=${seconds}, s-maxage=${seconds}`,
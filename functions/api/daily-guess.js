@@ -0,0 +1,112 @@
+// /functions/api/daily-guess.js
+// Scores a daily guess without ever sending the target to the client
+// mid-game. The client posts one guess plus the game token from its previous
+// answer (or from /api/daily-start for the first guess); the answer carries a
+// new token with the guess added. The target (plus a signed receipt) is only included once that
+// game is over, so it takes a full game of separate requests to see it.
+import { applyGuess, createGame, getStatusesForGuess, isGameOver, scoreGuess, submitGuess } from '../../engine.mjs';
+import {
+  DAILY_RULES,
+  getSaltForDate,
+  getSalts,
+  getUtcToday,
+  isPlayableDayStr,
+  jsonResponse,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import { createDailyGameToken, readMemoryMode, readRequestGame } from '../_lib/daily-game.js';
+import { getVerificationCode, signReceipt } from '../_lib/receipt.js';
+import { getDailyPuzzle } from '../_lib/schedule.js';
+
+export const onRequestPost = async ({ request, env }) => {
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  // Any launched day up to today can be played: the archive serves past
+  // days, and a game started just before UTC midnight can still be finished.
+  // Past colors are already public through /api/daily-color.
+  const { todayStr } = getUtcToday();
+  const date = body?.date;
+  if (!isPlayableDayStr(date, todayStr)) {
+    return jsonResponse({ error: 'Invalid date' }, { status: 400 });
+  }
+
+  const saved = await readRequestGame(date, body?.token, salts);
+  if (!saved) {
+    return jsonResponse({ error: 'Invalid game token' }, { status: 400 });
+  }
+
+  const puzzle = await getDailyPuzzle(date, env);
+  const target = puzzle.hex;
+
+  const hardMode = saved.guesses.length === 0 ? body?.hardMode === true : saved.hardMode;
+  const memoryMode = readMemoryMode(saved, body?.memoryMode);
+  if (memoryMode === null) {
+    return jsonResponse({ error: 'Memory mode must be on before the first reveal' }, { status: 400 });
+  }
+  let game = createGame({ rules: DAILY_RULES, target, hardMode });
+  for (const entry of saved.guesses) {
+    game = applyGuess(game, entry, scoreGuess(game, entry));
+  }
+  if (isGameOver(game)) {
+    return jsonResponse({ error: 'Game already finished' }, { status: 409 });
+  }
+
+  // Same checks and messages as the page (length, characters, hard mode).
+  let result;
+  try {
+    ({ game, result } = submitGuess(game, String(body?.guess || '').toUpperCase()));
+  } catch (error) {
+    return jsonResponse({ error: error.message }, { status: 400 });
+  }
+  const { statuses, directions, channels, colorError, solved, gameOver } = result;
+  const guesses = game.guesses.map((entry) => entry.hex);
+
+  const payload = {
+    statuses,
+    // Only shown when the player picks directional feedback, but always sent
+    // so switching modes mid-game still has hints for earlier rows.
+    directions,
+    channels,
+    colorError,
+    solved,
+    gameOver,
+    // New tokens always use the newest salt.
+    token: await createDailyGameToken({ ...saved, guesses, hardMode, memoryMode }, salts[salts.length - 1]),
+  };
+  if (gameOver) {
+    // Receipts are signed with the date's salt so they stay valid after a rotation.
+    const { secret } = getSaltForDate(date, salts);
+    payload.target = target;
+    // A scheduled day's title would hint at the color, so it waits for the end too.
+    payload.title = puzzle.title;
+    payload.caption = puzzle.caption;
+    payload.receipt = await signReceipt({
+      date,
+      id: saved.id,
+      rules: DAILY_RULES.id,
+      hardMode,
+      memoryMode,
+      guesses,
+      won: solved,
+      secret,
+    });
+    payload.verificationCode = await getVerificationCode({
+      date,
+      rules: DAILY_RULES.id,
+      hardMode,
+      memoryMode,
+      rows: guesses.map((entry) => getStatusesForGuess(game, entry)),
+      secret,
+    });
+  }
+
+  return jsonResponse(payload);
+};
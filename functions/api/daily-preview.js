@@ -0,0 +1,130 @@
+// /functions/api/daily-preview.js
+// Short-lived preview for the daily reveal square. Returns a 1x1 bitmap of
+// the target color instead of its hex, never cached, so the answer doesn't
+// sit in a JSON payload. The client shows it for the reveal window and then
+// revokes its object URL.
+//
+// Each reveal is asked for first: POST { date, token } with the current game
+// token (from /api/daily-start or /api/daily-guess) answers with a new game
+// token and a preview token for this attempt. GET ?token= then serves the
+// image once, while that preview token is fresh; the server remembers it
+// was served, so a copied URL or a replayed request gets nothing. An
+// attempt gets one reveal, a memory mode game only gets the first one, and
+// a finished game gets none.
+import {
+  MAX_ATTEMPTS,
+  blockDirectNavigation,
+  getSalts,
+  getUtcToday,
+  isPlayableDayStr,
+  jsonResponse,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import {
+  PREVIEW_TTL_MS,
+  createDailyGameToken,
+  createPreviewToken,
+  readMemoryMode,
+  readPreviewToken,
+  readRequestGame,
+} from '../_lib/daily-game.js';
+import { getDailyPuzzle } from '../_lib/schedule.js';
+import { missingStatsResponse, takePreview } from '../_lib/stats.js';
+
+export const onRequestPost = async ({ request, env }) => {
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { todayStr } = getUtcToday();
+  const date = body?.date;
+  if (!isPlayableDayStr(date, todayStr)) {
+    return jsonResponse({ error: 'Invalid date' }, { status: 400 });
+  }
+
+  const saved = await readRequestGame(date, body?.token, salts);
+  if (!saved) {
+    return jsonResponse({ error: 'Invalid game token' }, { status: 400 });
+  }
+
+  const { hex } = await getDailyPuzzle(date, env);
+  if (saved.guesses.includes(hex) || saved.guesses.length >= MAX_ATTEMPTS) {
+    return jsonResponse({ error: 'Game already finished' }, { status: 409 });
+  }
+  const attempt = saved.guesses.length + 1;
+  if (saved.revealed >= attempt) {
+    return jsonResponse({ error: 'Already revealed this attempt' }, { status: 409 });
+  }
+  const memoryMode = readMemoryMode(saved, body?.memoryMode);
+  if (memoryMode === null) {
+    return jsonResponse({ error: 'Memory mode must be on before the first reveal' }, { status: 400 });
+  }
+  if (memoryMode && attempt > 1) {
+    return jsonResponse({ error: 'No more reveals in memory mode' }, { status: 409 });
+  }
+
+  // New tokens always use the newest salt.
+  const salt = salts[salts.length - 1];
+  return jsonResponse({
+    token: await createDailyGameToken({ ...saved, revealed: attempt, memoryMode }, salt),
+    preview: await createPreviewToken({ date, id: saved.id, attempt, expires: Date.now() + PREVIEW_TTL_MS }, salt),
+  });
+};
+
+export const onRequestGet = async ({ request, env }) => {
+  const blocked = blockDirectNavigation(request);
+  if (blocked) return blocked;
+
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+  if (!env.DAILY_STATS) return missingStatsResponse();
+
+  const preview = await readPreviewToken(new URL(request.url).searchParams.get('token'), salts);
+  if (!preview) {
+    return new Response('Invalid or expired preview', {
+      status: 400,
+      headers: { 'Cache-Control': 'no-store' },
+    });
+  }
+  if (!(await takePreview(env.DAILY_STATS, preview))) {
+    return new Response('Preview already used', {
+      status: 410,
+      headers: { 'Cache-Control': 'no-store' },
+    });
+  }
+
+  const { hex } = await getDailyPuzzle(preview.date, env);
+
+  return new Response(solidColorBmp(hex), {
+    headers: {
+      "content-type": "image/bmp",
+      "cache-control": "no-store",
+    },
+  });
+};
+
+// Uncompressed 24-bit 1x1 BMP: 14-byte file header + 40-byte info header +
+// one 4-byte pixel row (BGR + 1 byte padding).
+function solidColorBmp(hex) {
+  const bytes = new Uint8Array(58);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = 0x42; bytes[1] = 0x4D;          // "BM"
+  view.setUint32(2, bytes.length, true);     // file size
+  view.setUint32(10, 54, true);              // pixel data offset
+  view.setUint32(14, 40, true);              // info header size
+  view.setInt32(18, 1, true);                // width
+  view.setInt32(22, 1, true);                // height
+  view.setUint16(26, 1, true);               // color planes
+  view.setUint16(28, 24, true);              // bits per pixel
+  view.setUint32(34, 4, true);               // pixel data size
+  bytes[54] = parseInt(hex.substr(4, 2), 16); // B
+  bytes[55] = parseInt(hex.substr(2, 2), 16); // G
+  bytes[56] = parseInt(hex.substr(0, 2), 16); // R
+  return bytes;
+}
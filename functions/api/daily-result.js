@@ -0,0 +1,62 @@
+// /functions/api/daily-result.js
+// Records the anonymous outcome of a finished daily game for the global
+// distribution (see daily-stats.js). The client posts the signed receipt it
+// got from /api/daily-guess, so only real, finished games are counted.
+//
+// Each receipt names its game, and a game is only added to the running
+// totals once (see _lib/stats.js), so retries and replayed receipts don't
+// count twice. Nothing identifying is stored, only attempts / won / final
+// color error.
+import { calculateColorError } from '../../engine.mjs';
+import {
+  HEX_COLOR_RE,
+  MAX_ATTEMPTS,
+  getSaltForDate,
+  getSalts,
+  getUtcToday,
+  isPlayableDayStr,
+  jsonResponse,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import { isReceiptValid } from '../_lib/receipt.js';
+import { getDailyPuzzle } from '../_lib/schedule.js';
+import { missingStatsResponse, recordResult } from '../_lib/stats.js';
+
+export const onRequestPost = async ({ request, env }) => {
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+  if (!env.DAILY_STATS) return missingStatsResponse();
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const receipt = body?.receipt;
+  const { todayStr } = getUtcToday();
+  if (!isPlayableDayStr(receipt?.date, todayStr) ||
+      !(await isReceiptValid(receipt, getSaltForDate(receipt.date, salts).secret))) {
+    return jsonResponse({ error: 'Invalid receipt' }, { status: 400 });
+  }
+
+  const guesses = receipt.guesses;
+  if (guesses.length === 0 || guesses.length > MAX_ATTEMPTS || !guesses.every((guess) => HEX_COLOR_RE.test(guess))) {
+    return jsonResponse({ error: 'Invalid receipt' }, { status: 400 });
+  }
+
+  const { hex: target } = await getDailyPuzzle(receipt.date, env);
+  const finalError = calculateColorError(guesses[guesses.length - 1], target);
+
+  const recorded = await recordResult(env.DAILY_STATS, {
+    date: receipt.date,
+    gameId: receipt.id,
+    attempts: guesses.length,
+    won: receipt.won,
+    finalError: Math.round(finalError * 10) / 10,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  return jsonResponse({ recorded });
+};
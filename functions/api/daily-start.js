@@ -0,0 +1,40 @@
+// /functions/api/daily-start.js
+// Starts a daily game: POST { date } answers with the first game token (see
+// _lib/daily-game.js). Reveals and guesses all need one, so this is the only
+// way into a daily game, and each new game counts against the client's
+// daily limit.
+import {
+  getSalts,
+  getUtcToday,
+  isPlayableDayStr,
+  jsonResponse,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import { createDailyGame, createDailyGameToken } from '../_lib/daily-game.js';
+import { missingStatsResponse, takeNewGameQuota } from '../_lib/stats.js';
+
+export const onRequestPost = async ({ request, env }) => {
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+  if (!env.DAILY_STATS) return missingStatsResponse();
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { todayStr } = getUtcToday();
+  const date = body?.date;
+  if (!isPlayableDayStr(date, todayStr)) {
+    return jsonResponse({ error: 'Invalid date' }, { status: 400 });
+  }
+
+  if (!(await takeNewGameQuota(env.DAILY_STATS, request, salts, todayStr))) {
+    return jsonResponse({ error: 'Too many new games today' }, { status: 429 });
+  }
+
+  // New tokens always use the newest salt.
+  return jsonResponse({ token: await createDailyGameToken(createDailyGame(date), salts[salts.length - 1]) });
+};
@@ -0,0 +1,52 @@
+// /functions/api/daily-stats.js
+// Aggregate outcome distribution for a daily puzzle, read from the running
+// totals daily-result.js keeps (see _lib/stats.js).
+import {
+  MAX_ATTEMPTS,
+  blockDirectNavigation,
+  getUtcToday,
+  isPlayableDayStr,
+  jsonResponse,
+} from '../_lib/daily.js';
+import { missingStatsResponse, readTotals } from '../_lib/stats.js';
+
+export const onRequestGet = async ({ request, env }) => {
+  const blocked = blockDirectNavigation(request);
+  if (blocked) return blocked;
+  if (!env.DAILY_STATS) return missingStatsResponse();
+
+  const { todayStr } = getUtcToday();
+  const date = new URL(request.url).searchParams.get('date') || todayStr;
+  if (!isPlayableDayStr(date, todayStr)) {
+    return new Response('Invalid date', {
+      status: 400,
+      headers: { 'Cache-Control': 'no-store' },
+    });
+  }
+
+  const totals = await readTotals(env.DAILY_STATS, date, MAX_ATTEMPTS);
+  // distribution[n] = games won in n attempts; `lost` counts the rest.
+  const distribution = {};
+  totals.won.forEach((count, i) => {
+    distribution[i + 1] = count;
+  });
+  const lost = totals.lost;
+  const players = totals.won.reduce((sum, count) => sum + count, lost);
+  const totalFinalError = totals.errorSum;
+
+  const payload = {
+    date,
+    players,
+    distribution,
+    lost,
+    averageFinalError: players > 0 ? Math.round((totalFinalError / players) * 10) / 10 : null,
+  };
+
+  // Totals change with every finished game; a minute of staleness is fine.
+  return jsonResponse(payload, {
+    headers: {
+      "cache-control": "public, max-age=60, s-maxage=60",
+      "vary": "Sec-Fetch-Mode, Sec-Fetch-Dest, Accept",
+    },
+  });
+};
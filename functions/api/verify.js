@@ -0,0 +1,75 @@
+// /functions/api/verify.js
+// Checks a pasted daily result against its verification code. The code is
+// only valid for the exact date, rule set, hard mode mark, memory label and
+// emoji grid the server scored, so an edited grid, an added `*` or
+// "(Memory)" (or a grid from a different day) fails. Codes from before a
+// mode was signed still verify, but that mode comes back as null: unknown.
+// A speedrun time in the text is passed back as `time` so the page can say
+// it isn't covered; the browser keeps the clock, so the server can't vouch
+// for it.
+import {
+  getPuzzleNumber,
+  getSaltForDate,
+  getSalts,
+  getUtcToday,
+  isPlayableDayStr,
+  jsonResponse,
+  missingSaltResponse,
+} from '../_lib/daily.js';
+import { getGridOutcome, getVerificationCode, parseShareText } from '../_lib/receipt.js';
+
+export const onRequestPost = async ({ request, env }) => {
+  const salts = getSalts(env);
+  if (!salts) return missingSaltResponse();
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const parsed = parseShareText(body?.text);
+  if (!parsed) {
+    return jsonResponse({ valid: false, reason: 'Not a daily result with a verification code' });
+  }
+
+  const { todayStr } = getUtcToday();
+  const outcome = getGridOutcome(parsed.rows);
+  if (!isPlayableDayStr(parsed.date, todayStr) || !outcome) {
+    return jsonResponse({ valid: false, reason: 'Result is not a finished daily game' });
+  }
+
+  const signed = {
+    date: parsed.date,
+    rules: parsed.rules,
+    hardMode: parsed.hardMode,
+    memoryMode: parsed.memoryMode,
+    rows: parsed.rows,
+    secret: getSaltForDate(parsed.date, salts).secret,
+  };
+  let { hardMode, memoryMode } = parsed;
+  let valid = (await getVerificationCode(signed)) === parsed.code;
+  if (!valid) {
+    valid = (await getVerificationCode({ ...signed, version: 'v2' })) === parsed.code;
+    memoryMode = null;
+  }
+  // v1 codes only ever came from classic dailies.
+  if (!valid && parsed.rules === 'classic') {
+    valid = (await getVerificationCode({ ...signed, version: 'v1' })) === parsed.code;
+    hardMode = null;
+  }
+
+  return jsonResponse({
+    valid,
+    reason: valid ? null : 'Verification code does not match this result',
+    date: parsed.date,
+    number: getPuzzleNumber(parsed.date),
+    attempts: outcome.attempts,
+    won: outcome.won,
+    rules: parsed.rules,
+    hardMode,
+    memoryMode,
+    time: parsed.time,
+  });
+};
@@ -0,0 +1,5 @@
+// /functions/c/[token].js
+// Friend challenge links. The token is opened client-side via /api/challenge.
+import { serveAppShell } from '../_lib/shell.js';
+
+export const onRequestGet = ({ request, env }) => serveAppShell(request, env);
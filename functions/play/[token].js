@@ -0,0 +1,5 @@
+// /functions/play/[token].js
+// Custom puzzle links from /create. The token is opened client-side via /api/custom.
+import { serveAppShell } from '../_lib/shell.js';
+
+export const onRequestGet = ({ request, env }) => serveAppShell(request, env);
@@ -0,0 +1,83 @@
+// Remaining-colors solver, run by app.js as a module Web Worker so the row
+// reveal animations never wait on it (tools/simulate.mjs imports it directly).
+// Hex feedback is scored digit by digit, so the colors that still fit every
+// row are a product of per-digit candidate sets: the total is the product of
+// their sizes, and the most informative guess can be picked one digit at a time.
+
+import { getDigitStatus } from './engine.mjs';
+
+const SOLVER_DIGIT_VALUES = Array.from({ length: 16 }, (_, value) => value);
+
+// The engine's digit status, plus the direction arrow when the player sees those.
+function getDigitFeedback(guessValue, targetValue, rules, withDirection) {
+  const status = getDigitStatus(rules, Math.abs(guessValue - targetValue));
+  if (status === 'correct') return status;
+  return withDirection ? `${status}:${targetValue > guessValue ? 'up' : 'down'}` : status;
+}
+
+// Digit values at `index` that would have produced every row's feedback.
+export function getDigitCandidates(index, guesses, rules, useDirections) {
+  return SOLVER_DIGIT_VALUES.filter((value) => guesses.every((guess) => {
+    const status = guess.statuses[index];
+    const direction = useDirections && status !== 'correct' ? guess.directions?.[index] : null;
+    const expected = direction ? `${status}:${direction}` : status;
+    return getDigitFeedback(parseInt(guess.hex[index], 16), value, rules, !!direction) === expected;
+  }));
+}
+
+// Expected information (bits) from guessing `guessValue` when the target
+// digit is equally likely to be any of `candidates`.
+function getDigitInformation(guessValue, candidates, rules, useDirections) {
+  const counts = new Map();
+  candidates.forEach((value) => {
+    const feedback = getDigitFeedback(guessValue, value, rules, useDirections);
+    counts.set(feedback, (counts.get(feedback) || 0) + 1);
+  });
+  let bits = 0;
+  counts.forEach((count) => {
+    const share = count / candidates.length;
+    bits -= share * Math.log2(share);
+  });
+  return bits;
+}
+
+// Candidates are tried first, so a tie goes to a digit that could also win.
+// Hard mode only allows candidates anyway.
+function pickDigitGuess(candidates, rules, useDirections, candidatesOnly) {
+  const others = candidatesOnly ? [] : SOLVER_DIGIT_VALUES.filter((value) => !candidates.includes(value));
+  let best = null;
+  let bestBits = -1;
+  [...candidates, ...others].forEach((value) => {
+    const bits = getDigitInformation(value, candidates, rules, useDirections);
+    if (bits > bestBits) {
+      best = value;
+      bestBits = bits;
+    }
+  });
+  return { value: best, bits: Math.max(0, bestBits) };
+}
+
+// request: { digits, rules: { closeDistance, nearDistance }, guesses: [{ hex,
+// statuses, directions }], useDirections, candidatesOnly }
+export function solveCandidates({ digits, rules, guesses, useDirections = false, candidatesOnly = false }) {
+  const candidates = Array.from({ length: digits }, (_, index) => getDigitCandidates(index, guesses, rules, useDirections));
+  const total = candidates.reduce((product, values) => product * values.length, 1);
+  if (total === 0) return { candidates, total, suggestion: null, expectedBits: 0 };
+
+  // Feedback on one digit says nothing about the others, so the best guess
+  // is the best digit in every position.
+  const picks = candidates.map((values) => pickDigitGuess(values, rules, useDirections, candidatesOnly));
+  return {
+    candidates,
+    total,
+    suggestion: picks.map(({ value }) => value.toString(16)).join('').toUpperCase(),
+    expectedBits: picks.reduce((sum, { bits }) => sum + bits, 0)
+  };
+}
+
+// Only listens when it's running as the worker, not when imported.
+if (typeof WorkerGlobalScope !== 'undefined') {
+  self.onmessage = ({ data }) => {
+    self.postMessage({ id: data.id, ...solveCandidates(data) });
+  };
+}
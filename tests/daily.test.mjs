@@ -0,0 +1,335 @@
+// Daily server tests: node --test tests/
+// The Pages Functions run as is against a stub env: a fixed salt and an
+// in-memory stand-in for the DAILY_STATS KV namespace.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RULE_SETS, createGame, getStatusesForGuess } from '../engine.mjs';
+import { getPuzzleNumber, getSalts, getUtcToday } from '../functions/_lib/daily.js';
+import { PREVIEW_TTL_MS, readDailyGameToken, readPreviewToken } from '../functions/_lib/daily-game.js';
+import { getVerificationCode, isReceiptValid, signReceipt } from '../functions/_lib/receipt.js';
+import { getDailyPuzzle } from '../functions/_lib/schedule.js';
+import { NEW_GAMES_PER_DAY } from '../functions/_lib/stats.js';
+import { openToken, sealToken } from '../functions/_lib/tokens.js';
+import { onRequestGet as getDailyColor } from '../functions/api/daily-color.js';
+import { onRequestPost as postDailyGuess } from '../functions/api/daily-guess.js';
+import { onRequestGet as getPreview, onRequestPost as postPreview } from '../functions/api/daily-preview.js';
+import { onRequestPost as postDailyStart } from '../functions/api/daily-start.js';
+import { onRequestPost as postVerify } from '../functions/api/verify.js';
+
+const SECRET = 'test-salt';
+const [SALT] = getSalts({ SECRET_SALT: SECRET });
+const { todayStr: TODAY } = getUtcToday();
+
+// Just enough of a KV namespace for functions/_lib/stats.js.
+function createKv() {
+  const store = new Map();
+  return {
+    async get(key) {
+      return store.has(key) ? store.get(key).value : null;
+    },
+    async getWithMetadata(key) {
+      const entry = store.get(key);
+      return { value: entry ? entry.value : null, metadata: entry ? entry.metadata : null };
+    },
+    async put(key, value, { metadata = null } = {}) {
+      store.set(key, { value, metadata });
+    },
+    async list({ prefix = '' } = {}) {
+      const names = [...store.keys()].filter((name) => name.startsWith(prefix)).sort();
+      return { keys: names.map((name) => ({ name, metadata: store.get(name).metadata })), list_complete: true };
+    },
+  };
+}
+
+function createEnv() {
+  return { SECRET_SALT: SECRET, DAILY_STATS: createKv() };
+}
+
+function post(body) {
+  return new Request('https://hexguessr.test/api', { method: 'POST', body: JSON.stringify(body) });
+}
+
+async function call(handler, env, body) {
+  const response = await handler({ request: post(body), env });
+  return { status: response.status, body: await response.json() };
+}
+
+async function startGame(env, date = TODAY) {
+  const { status, body } = await call(postDailyStart, env, { date });
+  assert.equal(status, 200);
+  return body.token;
+}
+
+async function getTarget(env, date = TODAY) {
+  return (await getDailyPuzzle(date, env)).hex;
+}
+
+// A guess that isn't the target.
+function missFor(target) {
+  return target === '000000' ? 'FFFFFF' : '000000';
+}
+
+// Share text the way the page builds it, down to what the server reads back.
+function getShareText({ date, rows, code, hardMode = false, variants = [], time = null }) {
+  const [year, month, day] = date.split('-');
+  const monthLabel = new Date(Date.UTC(2000, month - 1, 1)).toLocaleString('en-US', { month: 'short', timeZone: 'UTC' });
+  const emoji = { correct: '🟩', close: '🟨', near: '🟧', wrong: '⬜' };
+  return [
+    `HexGuessr #${getPuzzleNumber(date)} - Daily${variants.length ? ` (${variants.join(', ')})` : ''}`,
+    `${monthLabel}/${day}/${year}`,
+    `${rows.length}/5${hardMode ? '*' : ''} Attempts${time ? ` · ${time}` : ''}`,
+    ...rows.map((statuses) => statuses.map((status) => emoji[status]).join('')),
+    `Verify: ${code}`,
+  ].join('\n');
+}
+
+// ----- Tokens -----
+
+test('sealed tokens open with the same salt and purpose only', async () => {
+  const token = await sealToken('hello', SALT, 'daily-game');
+  assert.equal(await openToken(token, [SALT], 'daily-game'), 'hello');
+  assert.equal(await openToken(token, [SALT], 'challenge'), null);
+  assert.equal(await openToken(token, getSalts({ SECRET_SALT: 'other-salt' }), 'daily-game'), null);
+
+  const flipped = token.slice(0, -2) + (token.at(-2) === 'A' ? 'B' : 'A') + token.at(-1);
+  assert.equal(await openToken(flipped, [SALT], 'daily-game'), null);
+  assert.equal(await openToken(null, [SALT], 'daily-game'), null);
+  assert.equal(await openToken('not a token', [SALT], 'daily-game'), null);
+});
+
+test('daily game tokens reject other purposes and malformed games', async () => {
+  const env = createEnv();
+  const saved = await readDailyGameToken(await startGame(env), [SALT]);
+  assert.equal(saved.date, TODAY);
+  assert.match(saved.id, /^[0-9a-f]{16}$/);
+  assert.deepEqual(saved.guesses, []);
+  assert.equal(saved.revealed, 0);
+
+  const text = `${TODAY}|${saved.id}||0|0|0`;
+  assert.equal(await readDailyGameToken(await sealToken(text, SALT, 'challenge'), [SALT]), null);
+  assert.equal(await readDailyGameToken(await sealToken(`${TODAY}|nope||0|0|0`, SALT, 'daily-game'), [SALT]), null);
+  assert.equal(await readDailyGameToken(await sealToken(`${TODAY}|${saved.id}|XYZ|0|0|0`, SALT, 'daily-game'), [SALT]), null);
+});
+
+// ----- Start and guess chain -----
+
+test('daily-start needs the stats binding and counts new games', async () => {
+  const noKv = await postDailyStart({ request: post({ date: TODAY }), env: { SECRET_SALT: SECRET } });
+  assert.equal(noKv.status, 503);
+
+  const env = createEnv();
+  assert.equal((await call(postDailyStart, env, { date: '2099-01-01' })).status, 400);
+
+  // A client that used up today's games
+  env.DAILY_STATS.get = async (key) => (key.startsWith('quota:') ? String(NEW_GAMES_PER_DAY) : null);
+  assert.equal((await call(postDailyStart, env, { date: TODAY })).status, 429);
+
+  // A quota write KV turns down counts as over the limit
+  const busy = createEnv();
+  busy.DAILY_STATS.put = async () => {
+    throw new Error('429 Too Many Requests');
+  };
+  assert.equal((await call(postDailyStart, busy, { date: TODAY })).status, 429);
+});
+
+test('daily-guess scores a game one token at a time', async () => {
+  const env = createEnv();
+  const target = await getTarget(env);
+  const miss = missFor(target);
+
+  assert.equal((await call(postDailyGuess, env, { date: TODAY, guess: miss })).status, 400);
+
+  let token = await startGame(env);
+  const first = await call(postDailyGuess, env, { date: TODAY, token, guess: miss });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.statuses, getStatusesForGuess(createGame({ rules: RULE_SETS.classic, target }), miss));
+  assert.equal(first.body.gameOver, false);
+  assert.equal(first.body.target, undefined);
+  assert.deepEqual((await readDailyGameToken(first.body.token, [SALT])).guesses, [miss]);
+
+  // A token only plays its own date
+  const yesterday = new Date(Date.parse(`${TODAY}T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+  assert.equal((await call(postDailyGuess, env, { date: yesterday, token: first.body.token, guess: miss })).status, 400);
+
+  token = first.body.token;
+  const last = await call(postDailyGuess, env, { date: TODAY, token, guess: target.toLowerCase() });
+  assert.equal(last.status, 200);
+  assert.equal(last.body.solved, true);
+  assert.equal(last.body.gameOver, true);
+  assert.equal(last.body.target, target);
+  assert.equal(last.body.receipt.id, (await readDailyGameToken(token, [SALT])).id);
+  assert.deepEqual(last.body.receipt.guesses, [miss, target]);
+  assert.equal(await isReceiptValid(last.body.receipt, SECRET), true);
+
+  const again = await call(postDailyGuess, env, { date: TODAY, token: last.body.token, guess: target });
+  assert.equal(again.status, 409);
+});
+
+test('daily-guess keeps hard mode from the first guess on', async () => {
+  const env = createEnv();
+  const target = await getTarget(env);
+  // First digit right, the rest not
+  const opening = target[0] + (target.slice(1) === '00000' ? 'FFFFF' : '00000');
+  const dropped = (target[0] === '0' ? 'F' : '0') + opening.slice(1);
+
+  const first = await call(postDailyGuess, env, { date: TODAY, token: await startGame(env), guess: opening, hardMode: true });
+  assert.equal((await readDailyGameToken(first.body.token, [SALT])).hardMode, true);
+
+  // Dropping the green first digit breaks hard mode, even when the request
+  // asks for normal mode now.
+  const second = await call(postDailyGuess, env, { date: TODAY, token: first.body.token, guess: dropped, hardMode: false });
+  assert.equal(second.status, 400);
+  assert.match(second.body.error, /^Digit 1 must stay/);
+});
+
+// ----- Previews -----
+
+test('a reveal needs a game token with guesses left, once per attempt', async () => {
+  const env = createEnv();
+  const target = await getTarget(env);
+  assert.equal((await call(postPreview, env, { date: TODAY })).status, 400);
+
+  const token = await startGame(env);
+  const reveal = await call(postPreview, env, { date: TODAY, token });
+  assert.equal(reveal.status, 200);
+  assert.equal((await readDailyGameToken(reveal.body.token, [SALT])).revealed, 1);
+  assert.equal((await call(postPreview, env, { date: TODAY, token: reveal.body.token })).status, 409);
+
+  const won = await call(postDailyGuess, env, { date: TODAY, token: reveal.body.token, guess: target });
+  assert.equal(won.body.gameOver, true);
+  assert.equal((await call(postPreview, env, { date: TODAY, token: won.body.token })).status, 409);
+});
+
+test('memory mode gets the first reveal only', async () => {
+  const env = createEnv();
+  const miss = missFor(await getTarget(env));
+
+  // Too late to turn it on once the color has been shown
+  const shown = await call(postPreview, env, { date: TODAY, token: await startGame(env) });
+  assert.equal((await call(postDailyGuess, env, { date: TODAY, token: shown.body.token, guess: miss, memoryMode: true })).status, 400);
+
+  const reveal = await call(postPreview, env, { date: TODAY, token: await startGame(env), memoryMode: true });
+  assert.equal(reveal.status, 200);
+  const guess = await call(postDailyGuess, env, { date: TODAY, token: reveal.body.token, guess: miss, memoryMode: true });
+  assert.equal((await readDailyGameToken(guess.body.token, [SALT])).memoryMode, true);
+  const second = await call(postPreview, env, { date: TODAY, token: guess.body.token });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.error, 'No more reveals in memory mode');
+});
+
+test('a preview image is served once, while its token is fresh', async () => {
+  const env = createEnv();
+  const target = await getTarget(env);
+  const { body } = await call(postPreview, env, { date: TODAY, token: await startGame(env) });
+
+  const preview = await readPreviewToken(body.preview, [SALT]);
+  assert.equal(preview.attempt, 1);
+  assert.ok(preview.expires <= Date.now() + PREVIEW_TTL_MS);
+  assert.equal(await readPreviewToken(body.preview, [SALT], preview.expires), null);
+  assert.notEqual(await readPreviewToken(body.preview, [SALT], preview.expires - 1), null);
+
+  const fetchImage = () => getPreview({
+    request: new Request(`https://hexguessr.test/api/daily-preview?token=${encodeURIComponent(body.preview)}`),
+    env,
+  });
+  const image = await fetchImage();
+  assert.equal(image.status, 200);
+  assert.equal(image.headers.get('cache-control'), 'no-store');
+  const pixel = new Uint8Array(await image.arrayBuffer()).slice(54, 57);
+  assert.deepEqual(Array.from(pixel), [4, 2, 0].map((i) => parseInt(target.substr(i, 2), 16)));
+
+  assert.equal((await fetchImage()).status, 410);
+});
+
+// ----- Receipts and verification -----
+
+test('receipts only check out unchanged', async () => {
+  const receipt = await signReceipt({
+    date: TODAY, id: '0123456789abcdef', rules: 'classic', hardMode: true, memoryMode: false,
+    guesses: ['000000', '3FA0C7'], won: true, secret: SECRET,
+  });
+  assert.equal(receipt.version, 'v3');
+  assert.equal(await isReceiptValid(receipt, SECRET), true);
+  assert.equal(await isReceiptValid(receipt, 'other-salt'), false);
+  assert.equal(await isReceiptValid({ ...receipt, memoryMode: true }, SECRET), false);
+  assert.equal(await isReceiptValid({ ...receipt, hardMode: false }, SECRET), false);
+  assert.equal(await isReceiptValid({ ...receipt, guesses: ['3FA0C7'] }, SECRET), false);
+
+  const v2 = await signReceipt({
+    date: TODAY, id: '0123456789abcdef', rules: 'classic', hardMode: false,
+    guesses: ['3FA0C7'], won: true, secret: SECRET, version: 'v2',
+  });
+  assert.equal(await isReceiptValid(v2, SECRET), true);
+});
+
+test('a shared result verifies with exactly its own modes', async () => {
+  const env = createEnv();
+  const target = await getTarget(env);
+  const miss = missFor(target);
+
+  const reveal = await call(postPreview, env, { date: TODAY, token: await startGame(env), memoryMode: true });
+  const first = await call(postDailyGuess, env, { date: TODAY, token: reveal.body.token, guess: miss, memoryMode: true });
+  const last = await call(postDailyGuess, env, { date: TODAY, token: first.body.token, guess: target });
+  const rows = [first.body.statuses, last.body.statuses];
+  const code = last.body.verificationCode;
+  const verify = async (text) => (await call(postVerify, env, { text })).body;
+
+  const shared = await verify(getShareText({ date: TODAY, rows, code, variants: ['Memory'], time: '1:23.4' }));
+  assert.equal(shared.valid, true);
+  assert.equal(shared.attempts, 2);
+  assert.equal(shared.won, true);
+  assert.equal(shared.hardMode, false);
+  assert.equal(shared.memoryMode, true);
+  // Shown, but not signed
+  assert.equal(shared.time, '1:23.4');
+
+  assert.equal((await verify(getShareText({ date: TODAY, rows, code }))).valid, false);
+  assert.equal((await verify(getShareText({ date: TODAY, rows, code, variants: ['Memory'], hardMode: true }))).valid, false);
+  assert.equal((await verify(getShareText({ date: TODAY, rows: [rows[1]], code, variants: ['Memory'] }))).valid, false);
+});
+
+test('older verification codes still verify, with unsigned modes unknown', async () => {
+  const env = createEnv();
+  const rows = [Array(6).fill('correct')];
+  const code = (version) => getVerificationCode({
+    date: TODAY, rules: 'classic', hardMode: true, memoryMode: false, rows, secret: SECRET, version,
+  });
+  const verify = async (text) => (await call(postVerify, env, { text })).body;
+
+  const v2 = await verify(getShareText({ date: TODAY, rows, code: await code('v2'), hardMode: true }));
+  assert.equal(v2.valid, true);
+  assert.equal(v2.hardMode, true);
+  assert.equal(v2.memoryMode, null);
+
+  const v1 = await verify(getShareText({ date: TODAY, rows, code: await code('v1') }));
+  assert.equal(v1.valid, true);
+  assert.equal(v1.hardMode, null);
+});
+
+// ----- Daily color -----
+
+test("daily-color won't hand out today's color or a future one", async () => {
+  const env = createEnv();
+  const get = (query) => getDailyColor({ request: new Request(`https://hexguessr.test/api/daily-color${query}`), env });
+
+  const today = await get('');
+  assert.equal(today.status, 200);
+  const meta = await today.json();
+  assert.equal(meta.date, TODAY);
+  assert.equal(meta.hex, undefined);
+
+  assert.equal((await get(`?date=${TODAY}`)).status, 400);
+  assert.equal((await get('?date=2099-01-01')).status, 400);
+  assert.equal((await get('?date=2025-02-30')).status, 400);
+
+  const past = await get('?date=2025-09-01');
+  assert.equal(past.status, 200);
+  assert.match((await past.json()).hex, /^[0-9A-F]{6}$/);
+
+  const navigated = await getDailyColor({
+    request: new Request('https://hexguessr.test/api/daily-color', { headers: { 'Sec-Fetch-Mode': 'navigate' } }),
+    env,
+  });
+  assert.equal(navigated.status, 403);
+});
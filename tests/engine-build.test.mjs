@@ -0,0 +1,24 @@
+// engine.js build check: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+import * as engine from '../engine.mjs';
+import { ENGINE_JS, buildEngineScript, readEngineModule } from '../tools/build-engine.mjs';
+
+test('engine.js is up to date with engine.mjs', () => {
+  assert.equal(readFileSync(ENGINE_JS, 'utf8'), buildEngineScript(readEngineModule()),
+    'engine.js is stale: run node tools/build-engine.mjs');
+});
+
+test('engine.js defines every engine export on one global', () => {
+  const context = vm.createContext({});
+  vm.runInContext(readFileSync(ENGINE_JS, 'utf8'), context);
+  const script = context.HexGuessrEngine;
+  assert.deepEqual(Object.keys(script).sort(), Object.keys(engine).sort());
+  assert.equal(Object.keys(context).join(), 'HexGuessrEngine');
+
+  const game = script.createGame({ rules: script.RULE_SETS.classic, target: '3FA0C7' });
+  assert.deepEqual([...script.getStatusesForGuess(game, '3FA0C0')], engine.getStatusesForGuess(game, '3FA0C0'));
+});
@@ -0,0 +1,170 @@
+// Engine tests: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  RULE_SETS,
+  INPUT_FORMATS,
+  MAX_DELTA_E,
+  createGame,
+  generateRandomColor,
+  getStatusesForGuess,
+  getDirectionsForGuess,
+  calculateColorError,
+  getGuessError,
+  scoreGuess,
+  submitGuess,
+  giveUpGame,
+  isGameWon,
+  isGameOver,
+  getCloseEnoughWin,
+  serializeGame,
+  restoreGame,
+} from '../engine.mjs';
+
+const classic = (target, options = {}) => createGame({ rules: RULE_SETS.classic, target, ...options });
+
+test('getStatusesForGuess bands each digit by distance', () => {
+  const game = classic('808080');
+  // distances 0, 1, 3, 12, 8, 15
+  assert.deepEqual(getStatusesForGuess(game, '815C0F'), ['correct', 'close', 'near', 'wrong', 'wrong', 'wrong']);
+  assert.deepEqual(getStatusesForGuess(game, '808080'), Array(6).fill('correct'));
+});
+
+test('getStatusesForGuess follows the rule set', () => {
+  const expert = createGame({ rules: RULE_SETS.expert, target: '808080' });
+  assert.deepEqual(getStatusesForGuess(expert, '818380'), ['correct', 'wrong', 'correct', 'wrong', 'correct', 'correct']);
+
+  const beginner = createGame({ rules: RULE_SETS.beginner, target: 'F80' });
+  assert.deepEqual(getStatusesForGuess(beginner, 'E5F'), ['close', 'near', 'wrong']);
+});
+
+test('getDirectionsForGuess points toward the target digit', () => {
+  assert.deepEqual(getDirectionsForGuess(classic('808080'), '70F080'), ['up', null, 'down', null, null, null]);
+});
+
+test('calculateColorError is CIEDE2000', () => {
+  assert.equal(calculateColorError('3FA0C7', '3FA0C7'), 0);
+  assert.ok(Math.abs(calculateColorError('000000', 'FFFFFF') - 100) < 0.01);
+  assert.equal(calculateColorError('FAB', 'FFAABB'), 0);
+  // symmetric, and a near miss scores well below a far one
+  assert.equal(calculateColorError('3FA0C7', '40A0C7'), calculateColorError('40A0C7', '3FA0C7'));
+  assert.ok(calculateColorError('3FA0C7', '40A0C7') < calculateColorError('3FA0C7', 'C73FA0'));
+});
+
+test('MAX_DELTA_E bounds the farthest sRGB pairs', () => {
+  assert.ok(calculateColorError('000066', '99FF00') > 100);
+  assert.ok(calculateColorError('00006E', '8FFF00') < MAX_DELTA_E);
+});
+
+test('generateRandomColor covers the whole range', () => {
+  assert.equal(generateRandomColor(RULE_SETS.classic, () => 0), '000000');
+  assert.equal(generateRandomColor(RULE_SETS.classic, () => 0.9999999999), 'FFFFFF');
+  assert.equal(generateRandomColor(RULE_SETS.beginner, () => 0.9999999999), 'FFF');
+});
+
+test('createGame starts empty and keeps the rule set attempts', () => {
+  const game = classic('3FA0C7');
+  assert.equal(game.maxAttempts, 5);
+  assert.deepEqual(game.guesses, []);
+  assert.equal(isGameOver(game), false);
+});
+
+test('submitGuess adds a scored guess without changing the old state', () => {
+  const game = classic('3FA0C7');
+  const next = submitGuess(game, '3FA0C0');
+  assert.equal(game.guesses.length, 0);
+  assert.equal(next.game.guesses.length, 1);
+  assert.equal(next.result.solved, false);
+  assert.equal(next.result.gameOver, false);
+  assert.deepEqual(next.game.guesses[0].statuses, ['correct', 'correct', 'correct', 'correct', 'correct', 'wrong']);
+  assert.equal(next.game.guesses[0].colorError, next.result.colorError);
+});
+
+test('a matching guess wins and ends the game', () => {
+  const { game, result } = submitGuess(classic('3FA0C7'), '3FA0C7');
+  assert.equal(result.solved, true);
+  assert.equal(result.gameOver, true);
+  assert.equal(isGameWon(game), true);
+  assert.equal(isGameOver(game), true);
+  assert.throws(() => submitGuess(game, '000000'), /Game is over/);
+});
+
+test('running out of attempts loses', () => {
+  let game = classic('3FA0C7', { maxAttempts: 2 });
+  game = submitGuess(game, '000000').game;
+  const last = submitGuess(game, '111111');
+  assert.equal(last.result.solved, false);
+  assert.equal(last.result.gameOver, true);
+  assert.equal(isGameOver(last.game), true);
+  assert.equal(isGameWon(last.game), false);
+});
+
+test('invalid guesses are rejected', () => {
+  const game = classic('3FA0C7');
+  assert.equal(getGuessError(game, '3FA'), 'Hex code is too short');
+  assert.equal(getGuessError(game, '3FA0CZ'), 'Invalid characters in hex code');
+  assert.equal(getGuessError(game, '3FA0C7'), null);
+  assert.throws(() => submitGuess(game, '12'), /too short/);
+});
+
+test('hard mode keeps earlier feedback', () => {
+  let game = classic('808080', { hardMode: true });
+  game = submitGuess(game, '815C0F').game;
+  assert.equal(getGuessError(game, '905C0F'), 'Digit 1 must stay 8');
+  assert.equal(getGuessError(game, '835C0F'), 'Digit 2 must be within 1 of 1');
+  assert.equal(getGuessError(game, '815C0F'), 'Digit 2 must change from 1');
+  assert.equal(getGuessError(game, '805C0F'), 'Digit 3 must change from 5');
+  assert.equal(getGuessError(game, '80FC0F'), 'Digit 3 must be within 3 of 5');
+  assert.equal(getGuessError(game, '808F12'), null);
+});
+
+test('channel grids score typed values', () => {
+  const game = createGame({ rules: RULE_SETS.classic, target: '3FA0C7', format: INPUT_FORMATS.rgb });
+  assert.equal(getGuessError(game, '', null), 'Pick a color or enter all RGB values');
+  const { game: next, result } = submitGuess(game, null, [63, 166, 230]);
+  assert.equal(next.guesses[0].hex, '3FA6E6');
+  assert.deepEqual(next.guesses[0].values, [63, 166, 230]);
+  assert.deepEqual(result.statuses, ['correct', 'close', 'wrong']);
+  assert.equal(submitGuess(next, null, [63, 160, 199]).result.solved, true);
+});
+
+test('close enough wins under the ΔE threshold', () => {
+  const strict = classic('3FA0C7');
+  const lenient = classic('3FA0C7', { closeEnoughDeltaE: 2 });
+  assert.equal(scoreGuess(strict, '40A0C7').solved, false);
+  const { game, result } = submitGuess(lenient, '40A0C7');
+  assert.equal(result.closeEnough, true);
+  assert.equal(isGameWon(game), true);
+  assert.equal(getCloseEnoughWin(game).hex, '40A0C7');
+});
+
+test('giving up ends an endless game as a loss', () => {
+  let game = createGame({ rules: RULE_SETS.zen, target: '3FA0C7' });
+  for (let i = 0; i < 20; i++) game = submitGuess(game, '000000').game;
+  assert.equal(isGameOver(game), false);
+  game = giveUpGame(game);
+  assert.equal(isGameOver(game), true);
+  assert.equal(isGameWon(game), false);
+});
+
+test('serializeGame and restoreGame round-trip through JSON', () => {
+  let game = createGame({ rules: RULE_SETS.zen, target: '3FA0C7', hardMode: true, closeEnoughDeltaE: 1 });
+  game = submitGuess(game, '3FA0C0').game;
+  const data = JSON.parse(JSON.stringify(serializeGame(game)));
+  assert.equal(data.rules, 'zen');
+  assert.equal(data.maxAttempts, null);
+
+  const restored = restoreGame(data);
+  assert.equal(restored.rules, RULE_SETS.zen);
+  assert.equal(restored.maxAttempts, Infinity);
+  assert.deepEqual(restored, game);
+  assert.equal(submitGuess(restored, '3FA0C7').result.solved, true);
+});
+
+test('restoreGame falls back on unknown or broken data', () => {
+  const restored = restoreGame({ rules: 'nope', format: 'nope', guesses: [{ hex: 42 }, { hex: 'abcdef' }] });
+  assert.equal(restored.rules, RULE_SETS.classic);
+  assert.equal(restored.format, null);
+  assert.deepEqual(restored.guesses.map((entry) => entry.hex), ['ABCDEF']);
+});
@@ -0,0 +1,34 @@
+// Simulator smoke test: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SIMULATE = fileURLToPath(new URL('../tools/simulate.mjs', import.meta.url));
+
+function run(...args) {
+  return JSON.parse(execFileSync(process.execPath, [SIMULATE, '--json', ...args], { encoding: 'utf8' }));
+}
+
+test('a seeded run plays the same games again', () => {
+  const args = ['--games', '30', '--rules', 'classic,expert,zen', '--seed', '42'];
+  const first = run(...args);
+  assert.deepEqual(run(...args), first);
+  assert.equal(first.seed, 42);
+  // every rule set against every strategy
+  assert.equal(first.results.length, 3 * 3);
+
+  for (const result of first.results) {
+    assert.equal(result.games, 30);
+    assert.equal(result.wins + result.losses, 30);
+    assert.equal(result.distribution.reduce((sum, count) => sum + count, 0), result.wins);
+    if (result.rules !== 'zen') {
+      assert.equal(result.distribution.length, result.rules === 'expert' ? 3 : 5);
+    }
+  }
+});
+
+test('--bands plays one row per band pair', () => {
+  const { results } = run('--games', '10', '--rules', 'classic', '--strategies', 'midpoint', '--bands', '1:3,2:6', '--seed', '7');
+  assert.deepEqual(results.map((result) => result.bands), ['1:3', '2:6']);
+});
@@ -0,0 +1,92 @@
+// Solver tests: node --test tests/
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RULE_SETS, createGame, getStatusesForGuess, getDirectionsForGuess } from '../engine.mjs';
+import { getDigitCandidates, solveCandidates } from '../solver.mjs';
+
+const classic = RULE_SETS.classic;
+const ALL_DIGITS = Array.from({ length: 16 }, (_, value) => value);
+
+// A scored row the way app.js hands it to the worker.
+function row(target, hex, rules = classic) {
+  const game = createGame({ rules, target });
+  return { hex, statuses: getStatusesForGuess(game, hex), directions: getDirectionsForGuess(game, hex) };
+}
+
+test('getDigitCandidates keeps the digits each status allows', () => {
+  // Guessing 8 everywhere against 3FA0C7: wrong, wrong, near, wrong, wrong, close
+  const guesses = [row('3FA0C7', '888888')];
+  assert.deepEqual(getDigitCandidates(0, guesses, classic, false), [0, 1, 2, 3, 4, 12, 13, 14, 15]);
+  assert.deepEqual(getDigitCandidates(2, guesses, classic, false), [5, 6, 10, 11]);
+  assert.deepEqual(getDigitCandidates(5, guesses, classic, false), [7, 9]);
+});
+
+test('getDigitCandidates narrows by direction only when asked to', () => {
+  const guesses = [row('3FA0C7', '888888')];
+  assert.deepEqual(getDigitCandidates(0, guesses, classic, true), [0, 1, 2, 3, 4]);
+  assert.deepEqual(getDigitCandidates(1, guesses, classic, true), [12, 13, 14, 15]);
+  assert.deepEqual(getDigitCandidates(2, guesses, classic, true), [10, 11]);
+  assert.deepEqual(getDigitCandidates(5, guesses, classic, true), [7]);
+});
+
+test('getDigitCandidates combines rows', () => {
+  const guesses = [row('3FA0C7', '000000'), row('3FA0C7', 'FFFFFF')];
+  assert.deepEqual(getDigitCandidates(1, guesses, classic, false), [15]);
+  assert.deepEqual(getDigitCandidates(3, guesses, classic, false), [0]);
+  assert.deepEqual(getDigitCandidates(0, guesses, classic, false), [2, 3]);
+});
+
+test('green/gray rules leave every other digit after a miss', () => {
+  const guesses = [row('3FA0C7', '3F0000', RULE_SETS.expert)];
+  const rules = RULE_SETS.expert;
+  assert.deepEqual(getDigitCandidates(0, guesses, rules, false), [3]);
+  assert.deepEqual(getDigitCandidates(2, guesses, rules, false), ALL_DIGITS.filter((value) => value !== 0));
+});
+
+test('solveCandidates counts every color before the first guess', () => {
+  const result = solveCandidates({ digits: 6, rules: classic, guesses: [] });
+  assert.equal(result.total, 16 ** 6);
+  result.candidates.forEach((values) => assert.deepEqual(values, ALL_DIGITS));
+});
+
+test('solveCandidates opens with the most informative digit per feedback set', () => {
+  // Bands split 0..15 most evenly from 3 (or 12), arrows from 7 (or 8),
+  // and green/gray feedback can't tell any digit apart from another.
+  assert.equal(solveCandidates({ digits: 6, rules: classic, guesses: [] }).suggestion, '333333');
+  assert.equal(solveCandidates({ digits: 6, rules: classic, guesses: [], useDirections: true }).suggestion, '777777');
+  assert.equal(solveCandidates({ digits: 6, rules: RULE_SETS.expert, guesses: [] }).suggestion, '000000');
+  assert.equal(solveCandidates({ digits: 3, rules: RULE_SETS.beginner, guesses: [] }).suggestion, '333');
+});
+
+test('solveCandidates suggests per digit from the feedback so far', () => {
+  const guesses = [row('3FA0C7', '888888')];
+
+  const bands = solveCandidates({ digits: 6, rules: classic, guesses });
+  assert.equal(bands.total, 9 * 9 * 4 * 9 * 9 * 2);
+  // A gray digit probes outside its candidates, yellow and orange pick one.
+  assert.equal(bands.suggestion, '115117');
+
+  const arrows = solveCandidates({ digits: 6, rules: classic, guesses, useDirections: true });
+  assert.equal(arrows.total, 5 * 4 * 2 * 5 * 4 * 1);
+  assert.equal(arrows.suggestion, '2DA2D7');
+});
+
+test('solveCandidates keeps to candidates when asked (hard mode)', () => {
+  const guesses = [row('3FA0C7', '000000'), row('3FA0C7', 'FFFFFF')];
+  const result = solveCandidates({ digits: 6, rules: classic, guesses, candidatesOnly: true });
+  assert.equal(result.total, 2 * 1 * 8 * 1 * 2 * 8);
+  [...result.suggestion].forEach((digit, i) => {
+    assert.ok(result.candidates[i].includes(parseInt(digit, 16)), `digit ${i + 1} is a candidate`);
+  });
+});
+
+test('solveCandidates has no suggestion when nothing fits', () => {
+  const guesses = [
+    { hex: '000000', statuses: Array(6).fill('correct'), directions: [] },
+    { hex: '111111', statuses: Array(6).fill('correct'), directions: [] }
+  ];
+  const result = solveCandidates({ digits: 6, rules: classic, guesses });
+  assert.equal(result.total, 0);
+  assert.equal(result.suggestion, null);
+});
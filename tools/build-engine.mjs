@@ -0,0 +1,43 @@
+// build-engine.mjs
+// Writes engine.js, a classic-script copy of engine.mjs for the page. Browsers
+// won't load ES modules from file://, so app.js is a plain script and reads
+// the engine from the HexGuessrEngine global this file defines. engine.mjs
+// stays the one source: edit it, then run
+//
+//   node tools/build-engine.mjs
+//
+// tests/engine-build.test.mjs fails while engine.js is out of date.
+import { readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const ENGINE_MJS = fileURLToPath(new URL('../engine.mjs', import.meta.url));
+export const ENGINE_JS = fileURLToPath(new URL('../engine.js', import.meta.url));
+
+const EXPORT_RE = /^export (const|function|async function) (\w+)/gm;
+
+// engine.mjs source → engine.js source. The module is wrapped in one function
+// so nothing but HexGuessrEngine leaks into the page's global scope.
+export function buildEngineScript(source) {
+  const names = Array.from(source.matchAll(EXPORT_RE), (match) => match[2]);
+  const body = source.replace(EXPORT_RE, '$1 $2').trimEnd();
+  return [
+    '// Generated from engine.mjs by tools/build-engine.mjs. Do not edit by hand.',
+    '(function () {',
+    "'use strict';",
+    '',
+    body,
+    '',
+    `globalThis.HexGuessrEngine = Object.freeze({\n${names.map((name) => `  ${name}`).join(',\n')}\n});`,
+    '})();',
+    ''
+  ].join('\n');
+}
+
+export function readEngineModule() {
+  return readFileSync(ENGINE_MJS, 'utf8');
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  writeFileSync(ENGINE_JS, buildEngineScript(readEngineModule()));
+  console.log('Wrote engine.js');
+}
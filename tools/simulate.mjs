@@ -0,0 +1,212 @@
+// simulate.mjs
+// Plays simulated games to measure how hard each rule set really is. Every
+// game goes through engine.mjs, so the feedback a strategy sees is exactly
+// what the real game would show.
+//
+//   node tools/simulate.mjs [--games 1000] [--rules classic,expert]
+//     [--strategies random,midpoint,solver] [--bands 1:3,2:6]
+//     [--directions] [--hard] [--seed 42] [--json]
+//
+// --bands replaces the rule sets' yellow:orange digit distances, one row per
+// pair; without it each rule set keeps its own. Every strategy plays the same
+// targets, and a run with the same --seed plays the same games again.
+import { parseArgs } from 'node:util';
+
+import { RULE_SETS, createGame, generateRandomColor, submitGuess, isGameOver, isGameWon } from '../engine.mjs';
+import { getDigitCandidates, solveCandidates } from '../solver.mjs';
+
+// Zen has no last row. Every strategy here converges long before this, so
+// hitting it means a strategy is stuck; it counts as a loss.
+const ENDLESS_ATTEMPT_CAP = 100;
+
+const toDigit = (value) => value.toString(16).toUpperCase();
+
+function getCandidates(game, useDirections) {
+  return Array.from({ length: game.rules.hexLength }, (_, index) =>
+    getDigitCandidates(index, game.guesses, game.rules, useDirections));
+}
+
+// Each strategy gets the game so far and returns the next hex guess.
+const STRATEGIES = {
+  // Any color that still fits every row, picked at random: a player who
+  // reads the feedback but doesn't plan ahead.
+  random: (game, { random, useDirections }) => getCandidates(game, useDirections)
+    .map((values) => toDigit(values[Math.floor(random() * values.length)]))
+    .join(''),
+  // The middle of what's left in each digit, like a binary search.
+  midpoint: (game, { useDirections }) => getCandidates(game, useDirections)
+    .map((values) => toDigit(values[Math.floor((values.length - 1) / 2)]))
+    .join(''),
+  // The "Suggest a guess" pick: most expected information per digit.
+  solver: (game, { useDirections }) => solveCandidates({
+    digits: game.rules.hexLength,
+    rules: game.rules,
+    guesses: game.guesses,
+    useDirections,
+    candidatesOnly: game.hardMode
+  }).suggestion
+};
+
+// mulberry32: small seeded PRNG with Math.random's 0..1 range
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Attempts it took to win, or null for a loss.
+function playGame(rules, target, strategy, context) {
+  let game = createGame({ rules, target, hardMode: context.hardMode });
+  const cap = Number.isFinite(game.maxAttempts) ? game.maxAttempts : ENDLESS_ATTEMPT_CAP;
+  while (!isGameOver(game) && game.guesses.length < cap) {
+    game = submitGuess(game, strategy(game, context)).game;
+  }
+  return isGameWon(game) ? game.guesses.length : null;
+}
+
+function simulate({ rules, targets, strategyId, seed, useDirections, hardMode }) {
+  const context = { random: createRandom(seed), useDirections, hardMode };
+  // distribution[n] = games won in n attempts
+  const distribution = [];
+  let wins = 0;
+  let totalAttempts = 0;
+  for (const target of targets) {
+    const attempts = playGame(rules, target, STRATEGIES[strategyId], context);
+    if (attempts === null) continue;
+    wins++;
+    totalAttempts += attempts;
+    distribution[attempts] = (distribution[attempts] || 0) + 1;
+  }
+  return {
+    rules: rules.id,
+    bands: `${rules.closeDistance}:${rules.nearDistance}`,
+    strategy: strategyId,
+    games: targets.length,
+    wins,
+    winRate: wins / targets.length,
+    averageAttempts: wins ? totalAttempts / wins : null,
+    distribution: Array.from(
+      { length: Number.isFinite(rules.maxAttempts) ? rules.maxAttempts : Math.max(0, distribution.length - 1) },
+      (_, i) => distribution[i + 1] || 0
+    ),
+    losses: targets.length - wins
+  };
+}
+
+function parseList(value, known, name) {
+  const ids = value.split(',').map((id) => id.trim()).filter(Boolean);
+  const unknown = ids.filter((id) => !known.includes(id));
+  if (unknown.length) {
+    throw new Error(`Unknown ${name}: ${unknown.join(', ')} (expected ${known.join(', ')})`);
+  }
+  return ids;
+}
+
+// "1:3,2:6" → [{ closeDistance: 1, nearDistance: 3 }, ...]
+function parseBands(value) {
+  return value.split(',').map((pair) => {
+    const match = pair.trim().match(/^(\d+):(\d+)$/);
+    if (!match || Number(match[1]) > Number(match[2])) {
+      throw new Error(`Bad band "${pair}": expected close:near with close <= near, like 1:3`);
+    }
+    return { closeDistance: Number(match[1]), nearDistance: Number(match[2]) };
+  });
+}
+
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      games: { type: 'string', default: '1000' },
+      rules: { type: 'string', default: Object.keys(RULE_SETS).join(',') },
+      strategies: { type: 'string', default: Object.keys(STRATEGIES).join(',') },
+      bands: { type: 'string' },
+      directions: { type: 'boolean', default: false },
+      hard: { type: 'boolean', default: false },
+      seed: { type: 'string' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+  const games = Number(values.games);
+  if (!Number.isInteger(games) || games < 1) throw new Error('--games must be a positive whole number');
+  const seed = values.seed === undefined ? Date.now() % 2 ** 32 : Number(values.seed);
+  if (!Number.isInteger(seed)) throw new Error('--seed must be a whole number');
+  return {
+    games,
+    ruleIds: parseList(values.rules, Object.keys(RULE_SETS), 'rule set'),
+    strategyIds: parseList(values.strategies, Object.keys(STRATEGIES), 'strategy'),
+    bands: values.bands ? parseBands(values.bands) : [null],
+    useDirections: values.directions,
+    hardMode: values.hard,
+    seed,
+    json: values.json
+  };
+}
+
+function formatDistribution({ distribution, losses }) {
+  const counts = distribution.map((count, i) => `${i + 1}:${count}`);
+  return [...counts, `X:${losses}`].join(' ');
+}
+
+function printTable(options, results) {
+  const feedback = options.useDirections ? 'directional' : 'classic';
+  console.log(`${options.games} games per row · seed ${options.seed} · ${feedback} feedback${options.hardMode ? ' · hard mode' : ''}`);
+  console.log('');
+  const rows = [
+    ['rules', 'bands', 'strategy', 'win %', 'avg', 'attempts (X = lost)'],
+    ...results.map((result) => [
+      result.rules,
+      result.bands,
+      result.strategy,
+      (result.winRate * 100).toFixed(1),
+      result.averageAttempts === null ? '—' : result.averageAttempts.toFixed(2),
+      formatDistribution(result)
+    ])
+  ];
+  const widths = rows[0].map((_, col) => Math.max(...rows.map((row) => row[col].length)));
+  rows.forEach((row) => {
+    console.log(row.map((cell, col) => (col === 3 || col === 4 ? cell.padStart(widths[col]) : cell.padEnd(widths[col]))).join('  ').trimEnd());
+  });
+}
+
+function main() {
+  let options;
+  try {
+    options = readOptions();
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const results = [];
+  options.ruleIds.forEach((ruleId, ruleIndex) => {
+    // Same targets for every strategy and band of a rule set
+    const targetRandom = createRandom(options.seed + ruleIndex);
+    const targets = Array.from({ length: options.games }, () => generateRandomColor(RULE_SETS[ruleId], targetRandom));
+    options.bands.forEach((bands) => {
+      const rules = { ...RULE_SETS[ruleId], ...bands };
+      options.strategyIds.forEach((strategyId) => {
+        results.push(simulate({
+          rules,
+          targets,
+          strategyId,
+          seed: options.seed,
+          useDirections: options.useDirections,
+          hardMode: options.hardMode
+        }));
+      });
+    });
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({ games: options.games, seed: options.seed, results }, null, 2));
+  } else {
+    printTable(options, results);
+  }
+}
+
+main();
@@ -0,0 +1,73 @@
+// Verify page: sends a pasted daily result to /api/verify and shows the verdict.
+
+const VERIFY_MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+async function verifySharedResult(text, { timeoutMs = 5000 } = {}) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+        const res = await fetch('/api/verify', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text }),
+            signal: ctrl.signal
+        });
+        if (!res.ok) throw new Error('Failed to verify result');
+        return await res.json();
+    } finally {
+        clearTimeout(t);
+    }
+}
+
+function formatVerifyDate(date) {
+    const match = typeof date === 'string' ? date.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+    if (!match) return '';
+    return `${VERIFY_MONTH_LABELS[Number(match[2]) - 1]}/${match[3]}/${match[1]}`;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const input = document.getElementById('verifyInput');
+    const button = document.getElementById('verifyButton');
+    const resultEl = document.getElementById('verifyResult');
+    if (!input || !button || !resultEl) return;
+
+    const showResult = (kind, message) => {
+        resultEl.classList.remove('hidden', 'is-valid', 'is-invalid');
+        if (kind) resultEl.classList.add(kind);
+        resultEl.textContent = message;
+    };
+
+    button.addEventListener('click', async () => {
+        const text = input.value.trim();
+        if (!text) {
+            showResult('is-invalid', 'Paste a result first!');
+            return;
+        }
+
+        button.disabled = true;
+        try {
+            const verdict = await verifySharedResult(text);
+            if (verdict.valid) {
+                // hardMode and memoryMode are null for codes from before
+                // that mode was signed.
+                const hardMark = verdict.hardMode ? '*' : '';
+                const memoryLabel = verdict.memoryMode ? ' in memory mode' : '';
+                const outcome = verdict.won ? `solved in ${verdict.attempts}/5${hardMark}` : `not solved${hardMark && ' (hard mode)'}`;
+                const unverified = [
+                    verdict.hardMode === null && 'Hard mode',
+                    verdict.memoryMode === null && 'Memory mode'
+                ].filter(Boolean);
+                const modeNote = unverified.length ? ` ${unverified.join(' and ')} not verified for this older code.` : '';
+                // Speedrun clocks run in the player's browser; the code doesn't cover them.
+                const timeNote = verdict.time ? ` The time (${verdict.time}) isn't verified.` : '';
+                showResult('is-valid', `Genuine! Daily #${verdict.number} (${formatVerifyDate(verdict.date)}), ${outcome}${memoryLabel}.${modeNote}${timeNote}`);
+            } else {
+                showResult('is-invalid', `Not verified. ${verdict.reason || ''}`.trim());
+            }
+        } catch {
+            showResult('is-invalid', "Couldn't reach the server. Try again!");
+        } finally {
+            button.disabled = false;
+        }
+    });
+});